@@ -1,23 +1,137 @@
 // Data Module for ChatGPT Parser
 // Handles parsing, storage, and management of ChatGPT conversations
 
-// Format type constants
+// Built-in format ids (more formats can be added with ChatGPTData.registerFormat)
 const FORMAT_TYPES = {
     APP_EXPORT: 'app_export',           // App's own export
     CLAUDE: 'claude',                   // Claude export
     DEEPSEEK: 'deepseek',               // DeepSeek export
     CHATGPT_MAPPING: 'chatgpt_mapping', // ChatGPT data export
+    OPEN_WEBUI: 'open_webui',           // Open WebUI chat export
+    LIBRECHAT: 'librechat',             // LibreChat conversation export
+    GEMINI: 'gemini',                   // Google Takeout (Gemini Apps activity)
     SIMPLE: 'simple',                   // Simple message array
     WRAPPED_SIMPLE: 'wrapped_simple'    // Nested simple format
 };
 
+// Formats scoring within this margin of the detected one are flagged as ambiguous
+const FORMAT_AMBIGUITY_MARGIN = 0.15;
+
+// Color of folders created for imported Claude projects
+const PROJECT_FOLDER_COLOR = '#f97316';
+
+// Gemini Takeout has no conversation ids; prompts closer together than this
+// (in seconds) are grouped into one conversation
+const GEMINI_SESSION_GAP = 30 * 60;
+
+// UTC offsets (minutes) of the time zone names in Google Takeout activity dates
+// ("May 1, 2024, 12:34:56 PM CEST"), which Date can't read
+const TIME_ZONE_OFFSETS = {
+    UTC: 0, GMT: 0, WET: 0, WEST: 60, BST: 60, IST: 330,
+    CET: 60, CEST: 120, EET: 120, EEST: 180, MSK: 180,
+    EST: -300, EDT: -240, CST: -360, CDT: -300, MST: -420, MDT: -360,
+    PST: -480, PDT: -420, AKST: -540, AKDT: -480, HST: -600,
+    JST: 540, KST: 540, SGT: 480, HKT: 480, AWST: 480,
+    ACST: 570, ACDT: 630, AEST: 600, AEDT: 660, NZST: 720, NZDT: 780
+};
+
+// Restore points kept unless the user changes it: the newest maxCount, none older than
+// maxAgeDays (0 = no age limit). The newest restore point is always kept
+const DEFAULT_SNAPSHOT_RETENTION = { maxCount: 10, maxAgeDays: 30 };
+
+// Time between daily restore points (seconds)
+const DAILY_SNAPSHOT_INTERVAL = 24 * 60 * 60;
+
+// Deleted conversations and pairs stay in the trash this many days
+const TRASH_RETENTION_DAYS = 30;
+
+// Capitalize the words of a model name suffix, e.g. ['flash', 'thinking'] -> 'Flash Thinking'
+// Size suffixes (mini, nano) stay lowercase as in the vendors' own naming
+const formatModelWords = (words) => words
+    .filter(word => word && word !== 'latest' && !/^\d{4,}$/.test(word))
+    .map(word => (word === 'mini' || word === 'nano') ? word : word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+
+// Model name normalization table, shared by all parsers
+// Each family parses a lowercased, dash-separated model id into { version, tier, label }
+const MODEL_FAMILIES = [
+    {
+        // claude-3-5-sonnet-20241022, claude-sonnet-4-5, claude-opus-4-1-20250805, claude-2.1
+        family: 'Claude',
+        pattern: /claude/,
+        parse: (name) => {
+            const id = name.replace(/^.*?claude/, 'claude').replace(/-v\d.*$/, '').replace(/-\d{8}$/, '');
+            const tier = (id.match(/opus|sonnet|haiku|instant/) || [])[0] || null;
+            const versionMatch = (tier ? id.replace(tier, '') : id).match(/\d+(?:[.-]\d+)?/);
+            const version = versionMatch ? versionMatch[0].replace('-', '.') : null;
+            const tierName = tier ? formatModelWords([tier]) : null;
+            // Claude 4 and later put the tier first ("Claude Sonnet 4"), earlier models last ("Claude 3.5 Sonnet")
+            const tierFirst = tier && id.indexOf(tier) < id.search(/\d/);
+            const label = ['Claude', tierFirst ? tierName : null, version, tierFirst ? null : tierName]
+                .filter(Boolean).join(' ');
+            return { version, tier: tierName, label };
+        }
+    },
+    {
+        // gpt-4o, gpt-4o-mini, gpt-4-turbo, chatgpt-4o-latest, text-davinci-002-render-sha (GPT-3.5)
+        family: 'GPT',
+        pattern: /^(gpt|chatgpt|text-davinci)/,
+        parse: (name) => {
+            if (name.startsWith('text-davinci')) {
+                return { version: '3.5', tier: null, label: 'GPT-3.5' };
+            }
+            const match = name.match(/gpt-?(\d+(?:\.\d+)?o?)(?:-(.*))?$/);
+            if (!match) {
+                return { version: null, tier: null, label: 'GPT' };
+            }
+            const tier = formatModelWords((match[2] || '').split('-')) || null;
+            return { version: match[1], tier, label: [`GPT-${match[1]}`, tier].filter(Boolean).join(' ') };
+        }
+    },
+    {
+        // o1, o1-preview, o3-mini-high, o4-mini
+        family: 'o-series',
+        pattern: /^o\d/,
+        parse: (name) => {
+            const match = name.match(/^o(\d+)(?:-(.*))?$/);
+            return { version: match ? match[1] : null, tier: match && match[2] ? match[2] : null, label: name };
+        }
+    },
+    {
+        // deepseek-chat, deepseek-reasoner, deepseek-r1:7b
+        family: 'DeepSeek',
+        pattern: /deepseek/,
+        parse: (name) => {
+            // deepseek-r1 is the open-weights reasoner, as served by Ollama
+            const tier = name.includes('reasoner') || /-r1\b/.test(name) ? 'Reasoner' : 'Chat';
+            const versionMatch = name.match(/-v(\d+(?:\.\d+)?)/);
+            return { version: versionMatch ? versionMatch[1] : null, tier, label: `DeepSeek ${tier}` };
+        }
+    },
+    {
+        // gemini, gemini-1.5-pro, gemini-2.0-flash-thinking-exp
+        family: 'Gemini',
+        pattern: /gemini|bard/,
+        parse: (name) => {
+            const match = name.match(/gemini-(\d+(?:\.\d+)?)(?:-(.*))?$/);
+            if (!match) {
+                return { version: null, tier: null, label: 'Gemini' };
+            }
+            const tier = formatModelWords((match[2] || '').split('-')) || null;
+            return { version: match[1], tier, label: ['Gemini', match[1], tier].filter(Boolean).join(' ') };
+        }
+    }
+];
+
 class ChatGPTData {
     constructor() {
         this.conversations = [];
+        this.trashedConversations = []; // Deleted conversations, until restored or purged (see TRASH)
         this.folders = []; // Custom folders
         this.currentSort = 'newestCreated'; // Default sort option
         this.currentConversationId = null;
         this.storageKey = 'chatgpt_parser_data';
+        this.snapshotRetentionKey = 'chatgpt_parser_snapshot_retention'; // Survives clearing the data
 
         // Initialize IndexedDB if supported, otherwise use localStorage only
         this.idbStorage = IndexedDBStorage.isSupported()
@@ -27,6 +141,38 @@ class ChatGPTData {
         // Storage mode: 'indexeddb' or 'localstorage'
         this.storageMode = this.idbStorage ? 'indexeddb' : 'localstorage';
 
+        // Called with the progress of IndexedDB migrations (see MIGRATIONS in indexeddb.js),
+        // set by the app to show a notice
+        this.onStorageMigration = null;
+        if (this.idbStorage) {
+            this.idbStorage.onMigration = (status) => {
+                if (this.onStorageMigration) this.onStorageMigration(status);
+            };
+        }
+
+        // Imported assets kept in memory when IndexedDB is not available
+        this.assetCache = new Map();
+
+        // Original conversation sources kept in memory when IndexedDB is not available
+        this.sourceCache = new Map();
+
+        // Changes not yet written to IndexedDB, see markDirty() and saveToStorage()
+        this.dirtyIds = new Set();
+        this.deletedIds = new Set();
+        this.foldersChanged = false;
+        this.queuedSave = null;
+        this.runningSave = null;
+
+        // With IndexedDB, conversations hold their pairs only while open or changed;
+        // the others are list records, see loadConversationBody() and releaseBodies()
+
+        // Import report being collected, and the conversation being parsed (see startImportReport)
+        this.importReport = null;
+        this.reportConversation = null;
+
+        // Options for formats that need user input, e.g. { logGroupKey } for API logs
+        this.importOptions = {};
+
         // Initialize with one default folder on first use
         this.initializeDefaultFolder();
     }
@@ -40,6 +186,7 @@ class ChatGPTData {
                 color: '#3b82f6', // Blue
                 order: 0
             });
+            this.foldersChanged = true;
         }
     }
 
@@ -79,6 +226,44 @@ class ChatGPTData {
         return conv.mapping && conv.current_node;
     }
 
+    /**
+     * Checks if conversation is an Open WebUI chat
+     * Open WebUI keeps a history.messages tree with a currentId pointer, at the root or under chat
+     */
+    isOpenWebUIFormat(conv) {
+        const chat = conv.chat || conv;
+        return Boolean(chat.history && chat.history.messages && typeof chat.history.messages === 'object' &&
+            'currentId' in chat.history);
+    }
+
+    /**
+     * Checks if conversation is a LibreChat export
+     * LibreChat links messages with parentMessageId, as a flat list or a nested messagesTree
+     */
+    isLibreChatFormat(conv) {
+        const messages = conv.messagesTree || conv.messages;
+        return Boolean(conv.conversationId && Array.isArray(messages) &&
+            messages.some(msg => msg && msg.messageId));
+    }
+
+    /**
+     * Checks if conversation is a Gemini Takeout session
+     * Sessions are built from My Activity records by groupGeminiActivity()
+     */
+    isGeminiFormat(conv) {
+        return Array.isArray(conv.geminiActivity) && conv.geminiActivity.length > 0;
+    }
+
+    /**
+     * Checks if a record is a Gemini Apps entry from Google Takeout My Activity
+     */
+    isGeminiActivity(item) {
+        if (!item || typeof item !== 'object' || !item.time) return false;
+        const products = Array.isArray(item.products) ? item.products : [];
+        return item.header === 'Gemini Apps' || item.header === 'Bard' ||
+            products.includes('Gemini Apps') || products.includes('Bard');
+    }
+
     /**
      * Checks if conversation is in simple message array format
      * Simple format has messages array at root level
@@ -102,39 +287,56 @@ class ChatGPTData {
     /**
      * Detects the format of a single conversation object
      * @param {Object} conv - Conversation object to detect
-     * @returns {string} Format type constant
+     * @returns {string} Format id
      * @throws {Error} If format cannot be determined
      */
     detectConversationFormat(conv) {
-        // Check most specific formats first (app export)
-        if (this.isAppExportFormat(conv)) {
-            return FORMAT_TYPES.APP_EXPORT;
-        }
-
-        // Check platform-specific formats
-        if (this.isClaudeFormat(conv)) {
-            return FORMAT_TYPES.CLAUDE;
-        }
-
-        if (this.isDeepSeekFormat(conv)) {
-            return FORMAT_TYPES.DEEPSEEK;
-        }
+        return this.detectFormat(conv).format;
+    }
 
-        if (this.isChatGPTMappingFormat(conv)) {
-            return FORMAT_TYPES.CHATGPT_MAPPING;
+    /**
+     * Scores a conversation against every registered format
+     * The most confident format wins; equally confident formats are ordered by priority
+     * @param {Object} conv - Conversation object to detect
+     * @returns {Object} { format, confidence, candidates: [{ id, confidence }], ambiguous }
+     *   ambiguous is true when another format scored within FORMAT_AMBIGUITY_MARGIN of the winner
+     * @throws {Error} If no format matches
+     */
+    detectFormat(conv) {
+        const candidates = ChatGPTData.formats
+            .map(format => ({ id: format.id, priority: format.priority, confidence: this.getFormatConfidence(format, conv) }))
+            .filter(candidate => candidate.confidence > 0)
+            .sort((a, b) => (b.confidence - a.confidence) || (b.priority - a.priority));
+
+        if (candidates.length === 0) {
+            // Unknown format - log and throw
+            console.warn('Unknown conversation format:', conv);
+            throw new Error(`Unable to determine format for conversation: ${conv.title || conv.id || 'unknown'}`);
         }
 
-        if (this.isSimpleFormat(conv)) {
-            return FORMAT_TYPES.SIMPLE;
-        }
+        const best = candidates[0];
+        return {
+            format: best.id,
+            confidence: best.confidence,
+            candidates: candidates.map(({ id, confidence }) => ({ id, confidence })),
+            ambiguous: candidates.length > 1 && best.confidence - candidates[1].confidence < FORMAT_AMBIGUITY_MARGIN
+        };
+    }
 
-        if (this.isWrappedSimpleFormat(conv)) {
-            return FORMAT_TYPES.WRAPPED_SIMPLE;
+    /**
+     * Run a format's detect function, as a confidence from 0 to 1
+     */
+    getFormatConfidence(format, conv) {
+        try {
+            const result = format.detect(conv, this);
+            if (typeof result === 'number') {
+                return Math.max(0, Math.min(1, result));
+            }
+            return result ? 1 : 0;
+        } catch (error) {
+            console.warn(`Format detection failed for ${format.id}:`, error);
+            return 0;
         }
-
-        // Unknown format - log and throw
-        console.warn('Unknown conversation format:', conv);
-        throw new Error(`Unable to determine format for conversation: ${conv.title || conv.id || 'unknown'}`);
     }
 
     // =========================================================================
@@ -151,7 +353,8 @@ class ChatGPTData {
             createTime: conv.createTime || Date.now() / 1000,
             updateTime: conv.updateTime || Date.now() / 1000,
             source: conv.source || 'app_export',
-            title: conv.title
+            title: conv.title,
+            metadata: conv.metadata
         };
     }
 
@@ -160,12 +363,16 @@ class ChatGPTData {
      * Claude uses chat_messages array with ISO 8601 timestamps
      */
     parseClaudeFormat(conv) {
+        // Conversations started in a project link to it, see importClaudeProjects()
+        const projectId = conv.project_uuid || (conv.project && conv.project.uuid) || null;
+
         return {
-            pairs: this.parseClaudeMessages(conv.chat_messages),
+            pairs: this.parseClaudeMessages(conv.chat_messages, conv.model),
             createTime: this.parseISO8601(conv.created_at),
             updateTime: this.parseISO8601(conv.updated_at),
             source: 'claude',
-            title: conv.name || conv.title
+            title: conv.name || conv.title,
+            metadata: projectId ? { projectId: projectId } : null
         };
     }
 
@@ -197,6 +404,125 @@ class ChatGPTData {
         };
     }
 
+    /**
+     * Parses Open WebUI chat
+     * The history tree is converted to a mapping and traversed like ChatGPT's
+     */
+    parseOpenWebUIFormat(conv) {
+        const chat = conv.chat || conv;
+        const messages = Object.values(chat.history.messages).filter(msg => msg && msg.id);
+        const nodes = messages.map(msg => ({
+            id: msg.id,
+            parentId: msg.parentId || null,
+            childrenIds: msg.childrenIds,
+            role: msg.role,
+            text: typeof msg.content === 'string' ? msg.content : '',
+            timestamp: msg.timestamp || null,
+            model: msg.model || null,
+            // Ollama responses keep their counts in info (older versions) or usage
+            usage: this.normalizeUsage(msg.usage || (msg.info && msg.info.eval_count !== undefined ? msg.info : null)),
+            files: (msg.files || []).map((file, index) => ({
+                id: file.id || file.name || `${msg.id}_file_${index}`,
+                name: file.name || (file.type === 'image' ? 'Image' : 'File'),
+                mime_type: file.type === 'image' ? 'image/*' : (file.file?.meta?.content_type || null),
+                size: file.size || file.file?.meta?.size || null
+            }))
+        }));
+
+        const mapping = this.buildMessageTreeMapping(nodes);
+        const currentId = mapping[chat.history.currentId] ? chat.history.currentId : this.findLatestMessage(nodes);
+        const models = [...new Set([
+            ...nodes.filter(node => node.role === 'assistant' && node.model).map(node => node.model),
+            ...(Array.isArray(chat.models) ? chat.models : [])
+        ])].filter(Boolean);
+
+        return {
+            pairs: this.parseMappingMessages(mapping, currentId),
+            createTime: conv.created_at || (chat.timestamp ? chat.timestamp / 1000 : Date.now() / 1000),
+            updateTime: conv.updated_at || Date.now() / 1000,
+            source: 'open_webui',
+            title: conv.title || chat.title,
+            metadata: {
+                provider: 'Open WebUI',
+                // Local model ids as served ("llama3:8b"), not display names
+                models: models,
+                usage: this.sumUsage(nodes.map(node => node.usage))
+            }
+        };
+    }
+
+    /**
+     * Parses LibreChat export
+     * LibreChat has no current branch pointer, the latest message is shown
+     */
+    parseLibreChatFormat(conv) {
+        const messages = [];
+        const collect = (list) => (list || []).forEach(msg => {
+            if (!msg || !msg.messageId) return;
+            messages.push(msg);
+            collect(msg.children);
+        });
+        collect(conv.messagesTree || conv.messages);
+
+        const nodes = messages.map(msg => {
+            // Agents and newer endpoints store content parts instead of text
+            const parts = Array.isArray(msg.content) ? msg.content : [];
+            const partText = (part, key) => typeof part[key] === 'string' ? part[key] : (part[key]?.value || '');
+            const text = parts.length > 0
+                ? parts.filter(part => part && part.type === 'text').map(part => partText(part, 'text')).join('\n\n')
+                : (msg.text || '');
+            const thinking = parts.filter(part => part && part.type === 'think').map(part => partText(part, 'think')).join('\n\n');
+
+            return {
+                id: msg.messageId,
+                parentId: msg.parentMessageId || null,
+                role: msg.isCreatedByUser ? 'user' : 'assistant',
+                text: thinking ? `<think>${thinking}</think>${text}` : text,
+                timestamp: msg.createdAt ? this.parseISO8601(msg.createdAt) : null,
+                model: msg.isCreatedByUser ? null : (msg.model || conv.model || msg.sender || null),
+                usage: null,
+                files: (msg.files || []).map(file => ({
+                    id: file.file_id || file.filename,
+                    name: file.filename || 'File',
+                    mime_type: file.type || null,
+                    size: file.bytes || null
+                }))
+            };
+        });
+
+        const endpoint = conv.endpoint || messages.map(msg => msg.endpoint).find(Boolean);
+        const models = [...new Set(nodes.map(node => node.model).filter(Boolean))];
+
+        return {
+            pairs: this.parseMappingMessages(this.buildMessageTreeMapping(nodes), this.findLatestMessage(nodes)),
+            createTime: conv.createdAt ? this.parseISO8601(conv.createdAt) : Date.now() / 1000,
+            updateTime: conv.updatedAt ? this.parseISO8601(conv.updatedAt) : Date.now() / 1000,
+            source: 'librechat',
+            title: conv.title,
+            metadata: {
+                provider: endpoint ? `LibreChat (${endpoint})` : 'LibreChat',
+                models: models
+            }
+        };
+    }
+
+    /**
+     * Parses Gemini Takeout session
+     * Each My Activity record is one prompt with its response
+     */
+    parseGeminiFormat(conv) {
+        const pairs = this.parseGeminiActivity(conv.geminiActivity);
+        const firstPrompt = pairs.length > 0 ? pairs[0].question.content : '';
+
+        return {
+            pairs: pairs,
+            createTime: pairs.length > 0 ? pairs[0].question.timestamp : Date.now() / 1000,
+            updateTime: pairs.length > 0 ? pairs[pairs.length - 1].question.timestamp : Date.now() / 1000,
+            source: 'gemini',
+            title: conv.title || firstPrompt.split('\n')[0].substring(0, 60)
+        };
+    }
+
     /**
      * Parses simple message array format
      * Simple format has flat messages array
@@ -219,17 +545,39 @@ class ChatGPTData {
         return this.parseSimpleFormat(conv.conversation);
     }
 
+    // =========================================================================
+    // FORMAT REGISTRY
+    // =========================================================================
+
+    /**
+     * Registered formats, see registerFormat()
+     */
+    static formats = [];
+
     /**
-     * Strategy map: format type → parser function
+     * Register a conversation format
+     * Parsers in js/parsers/ call this to add formats without changing this file
+     * @param {Object} format
+     *   id - Format id, shown in import reports
+     *   detect(conv, data) - Confidence from 0 to 1 that conv is in this format (true/false also accepted)
+     *   parse(conv, data) - Returns { pairs, createTime, updateTime, source, title, metadata? }
+     *   group(records, data) - Optional; combines raw records (e.g. log lines) into conversation
+     *     objects before detection, returning the new list
+     *   priority - Orders formats that are equally confident, higher first (default 0)
      */
-    parseByFormat = {
-        [FORMAT_TYPES.APP_EXPORT]: (conv) => this.parseAppExport(conv),
-        [FORMAT_TYPES.CLAUDE]: (conv) => this.parseClaudeFormat(conv),
-        [FORMAT_TYPES.DEEPSEEK]: (conv) => this.parseDeepSeekFormat(conv),
-        [FORMAT_TYPES.CHATGPT_MAPPING]: (conv) => this.parseChatGPTMappingFormat(conv),
-        [FORMAT_TYPES.SIMPLE]: (conv) => this.parseSimpleFormat(conv),
-        [FORMAT_TYPES.WRAPPED_SIMPLE]: (conv) => this.parseWrappedSimpleFormat(conv)
-    };
+    static registerFormat(format) {
+        if (!format || !format.id || typeof format.detect !== 'function' || typeof format.parse !== 'function') {
+            throw new Error('registerFormat needs an id, a detect function and a parse function');
+        }
+
+        // Re-registering an id replaces the earlier definition
+        ChatGPTData.formats = ChatGPTData.formats.filter(existing => existing.id !== format.id);
+        ChatGPTData.formats.push({ priority: 0, ...format });
+    }
+
+    static getFormat(id) {
+        return ChatGPTData.formats.find(format => format.id === id) || null;
+    }
 
     // =========================================================================
     // MAIN PARSING FUNCTIONS
@@ -286,6 +634,9 @@ class ChatGPTData {
             return { conversations: [], warnings };
         }
 
+        // Flat logs (Gemini Takeout, API logs) are grouped into conversations first
+        conversationList = this.groupRecords(conversationList);
+
         conversationList.forEach((conv, index) => {
             try {
                 const parsed = this.parseSingleConversation(conv);
@@ -305,13 +656,70 @@ class ChatGPTData {
         };
     }
 
+    /**
+     * Run the group() step of every format that has one over a list of records
+     */
+    groupRecords(conversationList) {
+        return ChatGPTData.formats
+            .filter(format => typeof format.group === 'function')
+            .reduce((list, format) => format.group(list, this), conversationList);
+    }
+
+    /**
+     * Whether a format's group() step claims the record, i.e. it is part of a flat log
+     * (group() returns the list it was given when no record belongs to it)
+     */
+    isGroupedRecord(record) {
+        const list = [record];
+        return ChatGPTData.formats.some(format =>
+            typeof format.group === 'function' && format.group(list, this) !== list
+        );
+    }
+
+    /**
+     * Parse JSON Lines text (one JSON value per line)
+     * @param {string} text - File text, or a run of complete lines from it
+     * @param {number} firstLine - Line number of the first line, for warnings
+     * @returns {Object} { records, warnings }
+     */
+    parseJSONLines(text, firstLine = 1) {
+        const records = [];
+        const warnings = [];
+
+        text.split('\n').forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                warnings.push(`Line ${firstLine + index}: invalid JSON (${error.message})`);
+            }
+        });
+
+        return { records, warnings };
+    }
+
     parseSingleConversation(conv) {
+        const id = conv.conversation_id || conv.conversationId || conv.id || conv.uuid || `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.reportConversation = { id, title: conv.title || conv.name || null, skipped: null };
+
         try {
             // Step 1: Detect format
-            const format = this.detectConversationFormat(conv);
+            const detection = this.detectFormat(conv);
+            const format = detection.format;
+            if (this.importReport) {
+                this.importReport.formats[format] = (this.importReport.formats[format] || 0) + 1;
+                if (detection.ambiguous) {
+                    this.importReport.ambiguous.push({
+                        conversationId: id,
+                        title: this.reportConversation.title,
+                        format: format,
+                        candidates: detection.candidates
+                    });
+                }
+            }
 
-            // Step 2: Parse based on format using strategy map
-            const parsed = this.parseByFormat[format](conv);
+            // Step 2: Parse with the registered format
+            const parsed = ChatGPTData.getFormat(format).parse(conv, this);
 
             // Step 3: Normalize timestamps from pairs if available
             const normalizedTimestamps = this.normalizeTimestamps(
@@ -322,18 +730,27 @@ class ChatGPTData {
 
             // Step 4: Return standardized conversation object
             return {
-                id: conv.conversation_id || conv.id || conv.uuid || `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                id: id,
                 title: parsed.title || 'New Chat',
                 createTime: normalizedTimestamps.createTime,
                 updateTime: normalizedTimestamps.updateTime,
                 pairs: parsed.pairs,
                 starred: false,
                 source: parsed.source,
-                folderId: conv.folderId || null // Preserve folder assignment
+                folderId: conv.folderId || null, // Preserve folder assignment
+                // Provider details kept from the source (system prompt, token usage, ...)
+                ...(parsed.metadata && { metadata: parsed.metadata }),
+                // Untouched original, moved to the sources store by addConversations
+                ...(format !== FORMAT_TYPES.APP_EXPORT && { rawSource: { format: format, original: conv } })
             };
         } catch (error) {
             console.error('Error parsing conversation:', error, 'Conversation:', conv);
+            if (this.importReport) {
+                this.importReport.failed.push({ conversationId: id, title: this.reportConversation.title, reason: error.message });
+            }
             return null;
+        } finally {
+            this.reportConversation = null;
         }
     }
 
@@ -378,7 +795,7 @@ class ChatGPTData {
                     role: 'assistant',
                     content: msg.content || msg.text || '',
                     timestamp: msg.create_time || msg.timestamp || Date.now() / 1000,
-                    model: msg.model || msg.model_slug || msg.metadata?.model_slug || 'GPT',
+                    ...this.getModelFields(msg.model || msg.model_slug || msg.metadata?.model_slug, 'GPT'),
                     // Preserve all non-empty metadata
                     metadata: msg.metadata || {},
                     author: msg.author || {},
@@ -388,6 +805,8 @@ class ChatGPTData {
                     weight: msg.weight || null,
                     end_turn: msg.end_turn || null
                 });
+            } else if (role === 'system') {
+                this.reportSkippedMessage('system');
             }
         });
 
@@ -422,274 +841,1081 @@ class ChatGPTData {
         return this.traverseConversation(mapping, currentNode, 1);
     }
 
+    /**
+     * Build the pairs of a ChatGPT mapping tree
+     * The path through current_node becomes the visible pairs; every other
+     * branch (edited prompts, regenerated answers) is kept on the pair where
+     * it diverges, see switchBranch()
+     */
     traverseConversation(mapping, nodeId, startIndex) {
-        const pairs = [];
-        let pairIndex = startIndex;
-        let currentNode = nodeId;
-
-        // Traverse backwards through parent links (like ChatGPT's HTML export)
-        const tempMessages = [];
-        while (currentNode && mapping[currentNode]) {
-            const node = mapping[currentNode];
-            const message = node.message;
-
-            if (message && message.content && message.content.parts) {
-                const parts = message.content.parts;
-                let content = '';
-
-                // Filter and join text parts only
-                for (const part of parts) {
-                    if (typeof part === 'string' && part.trim().length > 0) {
-                        content += part;
-                    }
-                    // Ignore non-text parts (assets, transcripts, etc.)
-                }
-
-                // Skip empty content
-                if (!content.trim()) {
-                    currentNode = node.parent;
-                    continue;
-                }
+        const children = this.buildMappingChildren(mapping);
+
+        // Nodes on the current_node path are the preferred branch at every fork
+        const currentPath = new Set();
+        let pathNode = nodeId;
+        while (pathNode && mapping[pathNode] && !currentPath.has(pathNode)) {
+            currentPath.add(pathNode);
+            pathNode = mapping[pathNode].parent;
+        }
 
-                // Filter out system messages (unless it's a user system message)
-                const role = message.author?.role;
-                const isSystem = role === 'system';
-                const isUserSystemMessage = message.metadata?.is_user_system_message;
+        // Find the root (node without a parent in the mapping)
+        const roots = Object.keys(mapping).filter(id => {
+            const parent = mapping[id].parent;
+            return !parent || !mapping[parent];
+        });
+        const rootId = roots.find(id => currentPath.has(id)) || roots[0];
+        if (!rootId) {
+            return [];
+        }
 
-                if (isSystem && !isUserSystemMessage) {
-                    currentNode = node.parent;
-                    continue;
-                }
+        const context = {
+            mapping,
+            children,
+            currentPath,
+            messageCache: new Map(),
+            visibleCache: new Map()
+        };
 
-                // Build complete message object with all metadata
-                const msgObj = {
-                    id: message.id,
-                    role: role,
-                    content: content,
-                    timestamp: message.create_time || Date.now() / 1000,
-                    // Preserve all non-empty metadata
-                    metadata: message.metadata || {},
-                    author: message.author || {},
-                    recipient: message.recipient || null,
-                    channel: message.channel || null,
-                    status: message.status || null,
-                    weight: message.weight || null,
-                    end_turn: message.end_turn || null
-                };
+        const pairs = this.collectBranchTail(context, rootId, null);
+        this.numberPairs(pairs, startIndex);
+        return pairs;
+    }
 
-                // Add model name for assistant messages
-                if (role === 'assistant' || role === 'tool') {
-                    msgObj.model = message.metadata?.model_slug ||
-                                  message.metadata?.default_model_slug ||
-                                  'GPT';
-                }
+    /**
+     * Build child id lists for every node in a mapping
+     * Uses node.children when present, otherwise parent links
+     */
+    buildMappingChildren(mapping) {
+        const children = {};
 
-                tempMessages.push(msgObj);
+        Object.keys(mapping).forEach(id => {
+            const node = mapping[id];
+            if (Array.isArray(node.children)) {
+                children[id] = node.children.filter(childId => mapping[childId]);
             }
+        });
 
-            // Move to parent node (traverse backwards)
-            currentNode = node.parent;
-        }
-
-        // Reverse to get correct order
-        tempMessages.reverse();
-
-        // Group into pairs: each user question + following assistant responses
-        let currentPair = null;
-        tempMessages.forEach((msg, idx) => {
-            const isUser = msg.role === 'user';
-            const isAssistant = msg.role === 'assistant' || msg.role === 'tool';
-
-            if (isUser) {
-                // Start a new pair
-                currentPair = {
-                    id: msg.id,
-                    question: msg,
-                    answers: [],
-                    index: pairIndex++,
-                    starred: false
-                };
-                pairs.push(currentPair);
-            } else if (isAssistant && currentPair) {
-                // Add answer to current pair
-                currentPair.answers.push(msg);
+        Object.keys(mapping).forEach(id => {
+            const parent = mapping[id].parent;
+            if (parent && mapping[parent] && !Array.isArray(mapping[parent].children)) {
+                if (!children[parent]) children[parent] = [];
+                children[parent].push(id);
             }
         });
 
-        return pairs;
+        return children;
     }
 
-    // Parse DeepSeek mapping format with fragments
-    parseDeepSeekMapping(mapping) {
-        const pairs = [];
-        let pairIndex = 1;
-        let currentPair = null;
+    /**
+     * Convert a mapping node into a message object
+     * @returns {Object|null} Message object, or null if the node is skipped
+     */
+    buildMappingMessage(node) {
+        const message = node.message;
+        if (!message) {
+            return null;
+        }
+        if (!message.content) {
+            this.reportSkippedMessage('empty');
+            return null;
+        }
 
-        // Find all message nodes in the mapping
-        const messageNodes = Object.values(mapping).filter(node => node.message && node.message.fragments);
+        // Filter out system messages (unless it's a user system message)
+        const role = message.author?.role;
+        const isSystem = role === 'system';
+        const isUserSystemMessage = message.metadata?.is_user_system_message;
 
-        // Sort by inserted_at to maintain chronological order
-        messageNodes.sort((a, b) => {
-            const timeA = new Date(a.message.inserted_at).getTime();
-            const timeB = new Date(b.message.inserted_at).getTime();
-            return timeA - timeB;
-        });
+        if (isSystem && !isUserSystemMessage) {
+            this.reportSkippedMessage('system');
+            return null;
+        }
 
-        messageNodes.forEach((node) => {
-            const msg = node.message;
-            const fragments = msg.fragments || [];
-            const model = msg.model || 'DeepSeek';
+        // Reasoning (o1/o3 thoughts and recap) goes to the answer's thinking section,
+        // code interpreter, browsing and other tool traffic becomes a typed block
+        const reasoning = this.buildReasoning(message);
+        const toolBlock = reasoning ? null : this.buildToolBlock(message);
 
-            // Process fragments by type
-            let userContent = '';
-            let thinkContent = '';
-            let responseContent = '';
-            let timestamp = this.parseISO8601(msg.inserted_at);
+        const parts = message.content.parts;
+        const uploadedFiles = message.metadata?.attachments || [];
+        const attachments = [];
+        let content = '';
 
-            fragments.forEach(frag => {
-                if (frag.type === 'REQUEST') {
-                    userContent += frag.content;
-                } else if (frag.type === 'THINK') {
-                    thinkContent += frag.content;
-                } else if (frag.type === 'RESPONSE') {
-                    responseContent += frag.content;
-                }
-            });
+        if (!toolBlock && !reasoning) {
+            if (!parts) {
+                this.reportSkippedMessage('empty');
+                return null;
+            }
 
-            // Create user message
-            if (userContent) {
-                currentPair = {
-                    id: node.id,
-                    question: {
-                        id: node.id,
-                        role: 'user',
-                        content: userContent,
-                        timestamp: timestamp,
-                        metadata: msg,
-                        model: model
-                    },
-                    answers: [],
-                    index: pairIndex++,
-                    starred: false
-                };
-                pairs.push(currentPair);
+            // Join text parts, keep image/file asset parts as attachments
+            for (const part of parts) {
+                if (typeof part === 'string' && part.trim().length > 0) {
+                    content += part;
+                } else if (part && typeof part === 'object' && part.asset_pointer) {
+                    attachments.push(this.buildAssetAttachment(part, uploadedFiles));
+                }
+                // Ignore other non-text parts (transcripts, etc.)
             }
 
-            // Create assistant response (with optional thinking)
-            if (responseContent || thinkContent) {
-                if (currentPair) {
-                    const answer = {
-                        id: node.id + '_response',
-                        role: 'assistant',
-                        content: responseContent,
-                        timestamp: timestamp,
-                        model: this.formatModelName(model),
-                        thinking: thinkContent || null, // Store thinking separately
-                        metadata: msg
-                    };
-                    currentPair.answers.push(answer);
+            // Uploaded files (PDFs, documents) only appear in metadata
+            uploadedFiles.forEach(file => {
+                if (file.id && !attachments.some(att => att.fileId === file.id)) {
+                    attachments.push({
+                        assetPointer: null,
+                        fileId: file.id,
+                        name: file.name || file.id,
+                        mimeType: file.mime_type || null,
+                        size: file.size || null,
+                        width: file.width || null,
+                        height: file.height || null,
+                        prompt: null
+                    });
                 }
+            });
+
+            // Skip empty content
+            if (!content.trim() && attachments.length === 0) {
+                this.reportSkippedMessage('empty');
+                return null;
             }
-        });
+        }
 
-        return pairs;
-    }
+        // Build complete message object with all metadata
+        const msgObj = {
+            id: message.id,
+            role: role,
+            content: content,
+            timestamp: message.create_time || Date.now() / 1000,
+            // Preserve all non-empty metadata
+            metadata: message.metadata || {},
+            author: message.author || {},
+            recipient: message.recipient || null,
+            channel: message.channel || null,
+            status: message.status || null,
+            weight: message.weight || null,
+            end_turn: message.end_turn || null
+        };
 
-    // Parse Claude chat_messages format with content arrays
-    parseClaudeMessages(chatMessages) {
-        const pairs = [];
-        let pairIndex = 1;
-        let currentPair = null;
+        if (attachments.length > 0) {
+            msgObj.attachments = attachments;
+        }
 
-        chatMessages.forEach((msg, idx) => {
-            const role = msg.role || msg.sender;
-            const isUser = role === 'user' || role === 'human'; // Claude uses 'human'
-            const isAssistant = role === 'assistant';
+        if (toolBlock) {
+            msgObj.toolBlock = toolBlock;
+        }
 
-            // Extract text from content array, filtering out tool_use blocks
-            let textContent = '';
-            let hasToolUse = false;
-            let hasAttachments = false; // Track file attachments
-            const artifacts = []; // Store artifacts separately
-            const attachmentMarkers = []; // Store file info for display
+        if (reasoning) {
+            msgObj.reasoning = reasoning;
+        }
 
-            if (msg.content && Array.isArray(msg.content)) {
-                msg.content.forEach(block => {
-                    if (block.type === 'text') {
-                        textContent += block.text || '';
-                    } else if (block.type === 'tool_use') {
-                        hasToolUse = true;
-
-                        // Track if we've already captured an artifact from this block to avoid duplicates
-                        let artifactCaptured = false;
-
-                        // Priority 1: Check display_content.json_block (new file creation format)
-                        if (block.display_content && block.display_content.type === 'json_block' && block.display_content.json_block) {
-                            console.log('[Artifact] Found json_block format for', block.name);
-                            try {
-                                const jsonData = JSON.parse(block.display_content.json_block);
-                                if (jsonData.code || jsonData.content) {
-                                    const filename = jsonData.filename?.split('/').pop() || block.name || 'Artifact';
-                                    artifacts.push({
-                                        id: filename,
-                                        type: jsonData.language || 'text',
-                                        title: filename,
-                                        content: jsonData.code || jsonData.content || ''
-                                    });
-                                    artifactCaptured = true;
-                                    console.log('[Artifact] ✓ Captured from json_block:', filename);
-                                }
-                            } catch (error) {
-                                console.warn('[Artifact] ✗ Failed to parse json_block:', error);
-                            }
+        // Add model name for assistant messages
+        if (role === 'assistant' || role === 'tool') {
+            Object.assign(msgObj, this.getModelFields(message.metadata?.model_slug ||
+                          message.metadata?.default_model_slug, 'GPT'));
+        }
+
+        return msgObj;
+    }
+
+    /**
+     * Extract reasoning-model content from a ChatGPT message
+     * Handles 'thoughts' (summary + content per step), 'reasoning_recap' ("Thought for 12 seconds")
+     * and text on the 'analysis' channel
+     * @returns {Object|null} { text, label }, or null for normal messages
+     */
+    buildReasoning(message) {
+        const content = message.content;
+        const contentType = content.content_type;
+
+        if (contentType === 'thoughts') {
+            const steps = (content.thoughts || [])
+                .map(thought => [thought.summary && `**${thought.summary}**`, thought.content].filter(Boolean).join('\n\n'))
+                .filter(step => step.trim());
+            return steps.length > 0 ? { text: steps.join('\n\n'), label: null } : null;
+        }
+
+        if (contentType === 'reasoning_recap') {
+            const recap = typeof content.content === 'string' ? content.content.trim() : '';
+            return recap ? { text: '', label: recap } : null;
+        }
+
+        if (message.author?.role === 'assistant' && message.channel === 'analysis' && Array.isArray(content.parts)) {
+            const text = content.parts.filter(part => typeof part === 'string').join('');
+            return text.trim() ? { text: text, label: null } : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Build a typed block for tool traffic in a ChatGPT message
+     * @returns {Object|null} One of:
+     *   { type: 'code', language, code, output } - code interpreter
+     *   { type: 'output', output } - execution output, merged into the code block before it
+     *   { type: 'search', queries } - web searches
+     *   { type: 'browse', pages: [{ url, title, domain, text }] } - visited pages / results
+     *   { type: 'tool', name, input, output } - any other tool call or result
+     *   null for normal messages
+     */
+    buildToolBlock(message) {
+        const role = message.author?.role;
+        const content = message.content;
+        const contentType = content.content_type;
+        const recipient = message.recipient || 'all';
+        const text = Array.isArray(content.parts)
+            ? content.parts.filter(part => typeof part === 'string').join('')
+            : (content.text || '');
+
+        // Assistant addressing a tool
+        if (role === 'assistant' && recipient !== 'all') {
+            if (this.isBrowsingTool(recipient)) {
+                return { type: 'search', queries: this.extractSearchQueries(text) };
+            }
+            if (contentType === 'code') {
+                const language = content.language && content.language !== 'unknown' ? content.language : recipient;
+                return { type: 'code', language: language, code: text, output: null };
+            }
+            return { type: 'tool', name: recipient, input: text, output: null };
+        }
+
+        if (role !== 'tool') {
+            return null;
+        }
+
+        const toolName = message.author?.name || 'tool';
+
+        if (contentType === 'execution_output') {
+            return { type: 'output', output: text };
+        }
+
+        if (contentType === 'tether_quote') {
+            return {
+                type: 'browse',
+                pages: [{ url: content.url || null, title: content.title || content.domain || 'Quote', domain: content.domain || null, text: content.text || '' }]
+            };
+        }
+
+        if (contentType === 'tether_browsing_display') {
+            const cited = message.metadata?._cite_metadata?.metadata_list || [];
+            const pages = cited
+                .filter(item => item.url || item.title)
+                .map(item => ({ url: item.url || null, title: item.title || item.url, domain: null, text: item.text || '' }));
+            if (pages.length === 0 && (content.result || content.summary)) {
+                pages.push({ url: null, title: content.summary || 'Browsing result', domain: null, text: content.result || '' });
+            }
+            return { type: 'browse', pages };
+        }
+
+        const resultGroups = message.metadata?.search_result_groups;
+        if (Array.isArray(resultGroups) && resultGroups.length > 0) {
+            const pages = [];
+            resultGroups.forEach(group => {
+                (group.entries || []).forEach(entry => {
+                    pages.push({ url: entry.url || null, title: entry.title || entry.url, domain: group.domain || null, text: entry.snippet || '' });
+                });
+            });
+            return { type: 'browse', pages };
+        }
+
+        if (contentType === 'system_error') {
+            return { type: 'tool', name: toolName, input: null, output: `${content.name || 'Error'}: ${content.text || ''}` };
+        }
+
+        // Tool results with images (DALL·E) are shown as normal answers
+        if (Array.isArray(content.parts) && content.parts.some(part => part && typeof part === 'object' && part.asset_pointer)) {
+            return null;
+        }
+
+        if (!text.trim()) {
+            return null;
+        }
+
+        return { type: 'tool', name: toolName, input: null, output: text };
+    }
+
+    isBrowsingTool(name) {
+        return name === 'browser' || name === 'web' || name.startsWith('web.') || name.startsWith('browser.');
+    }
+
+    /**
+     * Extract search queries from a browsing tool call
+     * Handles search("..."), {"query": ...}, {"q": ...} and {"search_query": [{"q": ...}]}
+     */
+    extractSearchQueries(text) {
+        try {
+            const call = JSON.parse(text);
+            if (Array.isArray(call.search_query)) {
+                return call.search_query.map(q => q.q || q.query).filter(Boolean);
+            }
+            if (call.query || call.q) {
+                return [call.query || call.q];
+            }
+        } catch (error) {
+            // Not JSON, fall through to the function-call syntax
+        }
+
+        const queries = [];
+        const pattern = /search\(\s*"((?:[^"\\]|\\.)*)"/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            queries.push(match[1].replace(/\\"/g, '"'));
+        }
+
+        return queries.length > 0 ? queries : [text.trim()].filter(Boolean);
+    }
+
+    /**
+     * Add an assistant/tool message to a pair
+     * Reasoning and tool blocks are collected on an answer and the following text answer
+     * takes them over, so each answer shows the thinking and tool work that led to it.
+     * Never mutates existing answers, since forks share them
+     */
+    addAnswerToPair(pair, msg) {
+        const lastIndex = pair.answers.length - 1;
+        const last = pair.answers[lastIndex];
+        const pending = last && (last.toolBlocks || last.thinking || last.thinkingLabel) &&
+            !last.content.trim() && !last.attachments ? last : null;
+
+        if (msg.reasoning) {
+            const { reasoning, ...answer } = msg;
+            const base = pending || { ...answer, role: 'assistant' };
+            const thinking = [base.thinking, reasoning.text].filter(Boolean).join('\n\n');
+            const updated = { ...base, thinking: thinking || null, thinkingLabel: reasoning.label || base.thinkingLabel || null };
+            if (pending) {
+                pair.answers[lastIndex] = updated;
+            } else {
+                pair.answers.push(updated);
+            }
+            return;
+        }
+
+        if (msg.toolBlock) {
+            const { toolBlock, ...answer } = msg;
+            if (pending) {
+                pair.answers[lastIndex] = { ...pending, toolBlocks: this.mergeToolBlock(pending.toolBlocks || [], toolBlock) };
+            } else {
+                pair.answers.push({ ...answer, role: 'assistant', toolBlocks: this.mergeToolBlock([], toolBlock) });
+            }
+            return;
+        }
+
+        if (pending) {
+            const { toolBlocks, thinking, thinkingLabel } = pending;
+            pair.answers[lastIndex] = { ...msg, toolBlocks, thinking, thinkingLabel };
+            return;
+        }
+
+        pair.answers.push(msg);
+    }
+
+    /**
+     * Append a tool block, joining outputs to their code and consecutive searches/pages
+     * @returns {Array} New block list
+     */
+    mergeToolBlock(blocks, block) {
+        const result = [...blocks];
+        const last = result[result.length - 1];
+
+        if (block.type === 'output') {
+            if (last && last.type === 'code' && last.output === null) {
+                result[result.length - 1] = { ...last, output: block.output };
+            } else {
+                result.push({ type: 'code', language: null, code: null, output: block.output });
+            }
+        } else if (block.type === 'tool' && block.input === null && last && last.type === 'tool' &&
+                   last.output === null && last.name === block.name) {
+            result[result.length - 1] = { ...last, output: block.output };
+        } else if (block.type === 'search' && last && last.type === 'search') {
+            result[result.length - 1] = { ...last, queries: [...last.queries, ...block.queries] };
+        } else if (block.type === 'browse' && last && last.type === 'browse') {
+            result[result.length - 1] = { ...last, pages: [...last.pages, ...block.pages] };
+        } else {
+            result.push(block);
+        }
+
+        return result;
+    }
+
+    /**
+     * Convert a ChatGPT asset pointer part (uploaded image, DALL·E output) to an attachment
+     * @param {Object} part - Part with asset_pointer, e.g. "file-service://file-AbC123"
+     * @param {Array} uploadedFiles - message.metadata.attachments, for names and MIME types
+     */
+    buildAssetAttachment(part, uploadedFiles) {
+        const fileId = part.asset_pointer.replace(/^[a-z-]+:\/\//, '');
+        const uploaded = uploadedFiles.find(file => file.id === fileId) || {};
+        const isImage = part.content_type === 'image_asset_pointer';
+
+        return {
+            assetPointer: part.asset_pointer,
+            fileId: fileId,
+            name: uploaded.name || (part.metadata?.dalle ? 'DALL·E image' : fileId),
+            mimeType: uploaded.mime_type || (isImage ? 'image/*' : null),
+            size: part.size_bytes || uploaded.size || null,
+            width: part.width || uploaded.width || null,
+            height: part.height || uploaded.height || null,
+            prompt: part.metadata?.dalle?.prompt || null
+        };
+    }
+
+    // Cached buildMappingMessage lookup for tree traversal
+    getMappingMessage(context, nodeId) {
+        if (!context.messageCache.has(nodeId)) {
+            context.messageCache.set(nodeId, this.buildMappingMessage(context.mapping[nodeId]));
+        }
+        return context.messageCache.get(nodeId);
+    }
+
+    /**
+     * Role of the first message shown in a subtree, or null if nothing in it is shown
+     */
+    getFirstVisibleRole(context, nodeId) {
+        if (context.visibleCache.has(nodeId)) {
+            return context.visibleCache.get(nodeId);
+        }
+
+        let role = null;
+        const msg = this.getMappingMessage(context, nodeId);
+        if (msg) {
+            role = msg.role;
+        } else {
+            for (const childId of context.children[nodeId] || []) {
+                role = this.getFirstVisibleRole(context, childId);
+                if (role) break;
+            }
+        }
+
+        context.visibleCache.set(nodeId, role);
+        return role;
+    }
+
+    /**
+     * Collect the pairs along one branch of the tree, starting at nodeId
+     * @param {Object} context - Traversal state from traverseConversation
+     * @param {string} nodeId - First node of the branch
+     * @param {Object|null} basePair - Pair in progress when the branch starts
+     *   (regenerated answers continue the same question)
+     * @returns {Array} Pairs of the branch; forks are stored on the first pair
+     *   of each alternative as `branches`
+     */
+    collectBranchTail(context, nodeId, basePair) {
+        const pairs = [];
+        let currentPair = null;
+
+        if (basePair) {
+            currentPair = {
+                ...basePair,
+                answers: [...basePair.answers]
+            };
+            pairs.push(currentPair);
+        }
+
+        let id = nodeId;
+        while (id) {
+            const msg = this.getMappingMessage(context, id);
+
+            if (msg) {
+                const isUser = msg.role === 'user';
+                const isAssistant = msg.role === 'assistant' || msg.role === 'tool';
+
+                if (isUser) {
+                    // Start a new pair
+                    currentPair = {
+                        id: msg.id,
+                        question: msg,
+                        answers: [],
+                        index: 0,
+                        starred: false
+                    };
+                    pairs.push(currentPair);
+                } else if (isAssistant && currentPair) {
+                    // Add answer to current pair
+                    this.addAnswerToPair(currentPair, msg);
+                }
+            }
+
+            const visibleChildren = (context.children[id] || [])
+                .filter(childId => this.getFirstVisibleRole(context, childId));
+
+            if (visibleChildren.length === 0) {
+                break;
+            }
+
+            if (visibleChildren.length === 1) {
+                id = visibleChildren[0];
+                continue;
+            }
+
+            // Fork: edited prompts start new pairs, regenerated answers continue currentPair
+            const continuesPair = currentPair &&
+                visibleChildren.some(childId => this.getFirstVisibleRole(context, childId) !== 'user');
+
+            if (continuesPair) {
+                pairs.pop();
+            }
+
+            let preferred = visibleChildren.findIndex(childId => context.currentPath.has(childId));
+            if (preferred === -1) {
+                preferred = visibleChildren.length - 1;
+            }
+
+            const tails = [];
+            let activeTail = 0;
+            visibleChildren.forEach((childId, childIndex) => {
+                const tail = this.collectBranchTail(context, childId, continuesPair ? currentPair : null);
+                if (tail.length === 0) return;
+
+                if (continuesPair) {
+                    // Regenerations share the question id, so key the pair by its first answer
+                    const head = tail[0];
+                    const firstAnswer = head.answers.find((answer, i) => answer !== currentPair.answers[i]);
+                    if (firstAnswer) {
+                        head.id = `${currentPair.id}:${firstAnswer.id}`;
+                    }
+                }
+
+                // A fork right at the head of this tail is flattened into this one
+                const nested = tail[0].branches;
+                if (nested) {
+                    delete tail[0].branches;
+                    nested.tails.forEach((nestedTail, nestedIndex) => {
+                        if (childIndex === preferred && nestedIndex === nested.index) {
+                            activeTail = tails.length;
                         }
+                        tails.push(nestedIndex === nested.index ? tail : nestedTail);
+                    });
+                } else {
+                    if (childIndex === preferred) {
+                        activeTail = tails.length;
+                    }
+                    tails.push(tail);
+                }
+            });
 
-                        // Priority 2: Check display_content.code_block (another file creation format)
-                        if (!artifactCaptured && block.display_content && block.display_content.type === 'code_block' && block.display_content.code) {
-                            const filename = block.display_content.filename?.split('/').pop() ||
-                                              (block.input && block.input.path?.split('/').pop()) ||
-                                              block.name || 'Artifact';
-                            console.log('[Artifact] Found code_block format for', block.name, '->', filename);
+            if (tails.length === 1) {
+                pairs.push(...tails[0]);
+            } else if (tails.length > 1) {
+                const active = tails[activeTail];
+                active[0].branches = {
+                    index: activeTail,
+                    tails: tails.map((tail, tailIndex) => tailIndex === activeTail ? null : tail)
+                };
+                pairs.push(...active);
+            }
+            break;
+        }
+
+        return pairs;
+    }
+
+    /**
+     * Assign display indices, including pairs on inactive branches
+     */
+    numberPairs(pairs, startIndex) {
+        pairs.forEach((pair, idx) => {
+            pair.index = startIndex + idx;
+            if (pair.branches) {
+                pair.branches.tails.forEach(tail => {
+                    if (tail) this.numberPairs(tail, startIndex + idx);
+                });
+            }
+        });
+    }
+
+    // Parse DeepSeek mapping format with fragments
+    parseDeepSeekMapping(mapping) {
+        const pairs = [];
+        let pairIndex = 1;
+        let currentPair = null;
+
+        // Find all message nodes in the mapping
+        const messageNodes = Object.values(mapping).filter(node => node.message && node.message.fragments);
+
+        // Sort by inserted_at to maintain chronological order
+        messageNodes.sort((a, b) => {
+            const timeA = new Date(a.message.inserted_at).getTime();
+            const timeB = new Date(b.message.inserted_at).getTime();
+            return timeA - timeB;
+        });
+
+        messageNodes.forEach((node) => {
+            const msg = node.message;
+            const fragments = msg.fragments || [];
+            const model = msg.model || 'DeepSeek';
+
+            // Process fragments by type
+            let userContent = '';
+            let thinkContent = '';
+            let responseContent = '';
+            let timestamp = this.parseISO8601(msg.inserted_at);
+
+            fragments.forEach(frag => {
+                if (frag.type === 'REQUEST') {
+                    userContent += frag.content;
+                } else if (frag.type === 'THINK') {
+                    thinkContent += frag.content;
+                } else if (frag.type === 'RESPONSE') {
+                    responseContent += frag.content;
+                }
+            });
+
+            if (!userContent && !responseContent && !thinkContent) {
+                this.reportSkippedMessage('empty');
+            }
+
+            // Create user message
+            if (userContent) {
+                currentPair = {
+                    id: node.id,
+                    question: {
+                        id: node.id,
+                        role: 'user',
+                        content: userContent,
+                        timestamp: timestamp,
+                        metadata: msg,
+                        model: model
+                    },
+                    answers: [],
+                    index: pairIndex++,
+                    starred: false
+                };
+                pairs.push(currentPair);
+            }
+
+            // Create assistant response (with optional thinking)
+            if (responseContent || thinkContent) {
+                if (currentPair) {
+                    const answer = {
+                        id: node.id + '_response',
+                        role: 'assistant',
+                        content: responseContent,
+                        timestamp: timestamp,
+                        ...this.getModelFields(msg.model, 'DeepSeek'),
+                        thinking: thinkContent || null, // Store thinking separately
+                        metadata: msg
+                    };
+                    currentPair.answers.push(answer);
+                }
+            }
+        });
+
+        return pairs;
+    }
+
+    /**
+     * Build a ChatGPT mapping from the message tree of another export, for traverseConversation
+     * Reasoning in answer text becomes 'thoughts' and 'reasoning_recap' nodes before the answer,
+     * so it lands in the answer's thinking section
+     * @param {Array} nodes - [{ id, parentId, childrenIds?, role, text, timestamp, model, usage, files }]
+     * @returns {Object} Mapping keyed by node id
+     */
+    buildMessageTreeMapping(nodes) {
+        const headIds = {};
+        const chains = nodes.map(node => {
+            const { text, thinking, label } = node.role === 'assistant'
+                ? this.extractThinkingTags(node.text)
+                : { text: node.text, thinking: null, label: null };
+            const base = {
+                author: { role: node.role },
+                create_time: node.timestamp,
+                metadata: { model_slug: node.model }
+            };
+
+            const chain = [];
+            if (thinking) {
+                chain.push({ ...base, id: `${node.id}_thinking`, content: { content_type: 'thoughts', thoughts: [{ summary: '', content: thinking }] } });
+            }
+            if (label) {
+                chain.push({ ...base, id: `${node.id}_recap`, content: { content_type: 'reasoning_recap', content: label } });
+            }
+            chain.push({
+                ...base,
+                id: node.id,
+                content: { content_type: 'text', parts: [text] },
+                metadata: { ...base.metadata, usage: node.usage, attachments: node.files }
+            });
+
+            headIds[node.id] = chain[0].id;
+            return { node, chain };
+        });
+
+        const mapping = {};
+        chains.forEach(({ node, chain }) => {
+            chain.forEach((message, index) => {
+                const isLast = index === chain.length - 1;
+                mapping[message.id] = {
+                    id: message.id,
+                    parent: index === 0 ? node.parentId : chain[index - 1].id,
+                    // Without child lists, children are found through parent links
+                    children: !isLast ? [chain[index + 1].id]
+                        : Array.isArray(node.childrenIds) ? node.childrenIds.map(id => headIds[id]).filter(Boolean) : undefined,
+                    message: message
+                };
+            });
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Id of the most recent message in a tree, used when an export has no current pointer
+     */
+    findLatestMessage(nodes) {
+        const latest = nodes.reduce((best, node) => (!best || (node.timestamp || 0) >= (best.timestamp || 0)) ? node : best, null);
+        return latest ? latest.id : null;
+    }
+
+    /**
+     * Split reasoning out of answer text from local models
+     * Handles <think>...</think> (DeepSeek R1, Qwen) and Open WebUI's
+     * <details type="reasoning"><summary>Thought for 5 seconds</summary>...</details>
+     * @returns {Object} { text, thinking, label }
+     */
+    extractThinkingTags(text) {
+        let thinking = null;
+        let label = null;
+
+        const details = text.match(/<details\s+type="reasoning"[^>]*>\s*(?:<summary>([\s\S]*?)<\/summary>)?([\s\S]*?)<\/details>/);
+        const think = text.match(/^\s*<think>([\s\S]*?)(?:<\/think>|$)/);
+        if (details) {
+            label = details[1] ? details[1].trim() : null;
+            // Open WebUI quotes the reasoning as a blockquote
+            thinking = details[2].split('\n').map(line => line.replace(/^\s*> ?/, '')).join('\n').trim();
+            text = text.slice(0, details.index) + text.slice(details.index + details[0].length);
+        } else if (think) {
+            thinking = think[1].trim();
+            text = text.slice(think[0].length);
+        }
+
+        return { text: text.trim(), thinking: thinking || null, label: label };
+    }
+
+    /**
+     * Group Gemini Takeout activity records into conversation sessions
+     * Other entries in the list are returned unchanged
+     */
+    groupGeminiActivity(conversationList) {
+        const activity = conversationList.filter(item => this.isGeminiActivity(item));
+        if (activity.length === 0) {
+            return conversationList;
+        }
+
+        // Takeout lists newest first
+        activity.sort((a, b) => this.parseISO8601(a.time) - this.parseISO8601(b.time));
+
+        const sessions = [];
+        let current = null;
+        let lastTime = 0;
+
+        activity.forEach(item => {
+            const time = this.parseISO8601(item.time);
+            if (!current || time - lastTime > GEMINI_SESSION_GAP) {
+                current = {
+                    id: `gemini_${Math.floor(time)}`,
+                    geminiActivity: []
+                };
+                sessions.push(current);
+            }
+            current.geminiActivity.push(item);
+            lastTime = time;
+        });
+
+        return [
+            ...conversationList.filter(item => !this.isGeminiActivity(item)),
+            ...sessions
+        ];
+    }
+
+    // Parse Gemini Takeout activity records into pairs
+    parseGeminiActivity(activity) {
+        const pairs = [];
+        let pairIndex = 1;
+
+        activity.forEach(item => {
+            const title = item.title || '';
+            const isPrompt = /^Prompted\s/.test(title);
+            const responseHtml = (item.safeHtmlItem || [])
+                .map(entry => entry.html || '')
+                .join('\n');
+
+            // Skip feedback and other non-prompt activity
+            if (!isPrompt && !responseHtml) {
+                return;
+            }
+
+            let prompt = isPrompt ? title.replace(/^Prompted\s/, '') : title;
+            const attachedFiles = item.attachedFiles || [];
+            if (attachedFiles.length > 0) {
+                const markers = attachedFiles.map(file => `[file: ${file}]`).join(' ');
+                prompt = markers + (prompt ? '\n\n' + prompt : '');
+            }
+
+            const timestamp = this.parseISO8601(item.time);
+            const id = `gemini_${Math.floor(timestamp * 1000)}`;
+
+            const pair = {
+                id: id,
+                question: {
+                    id: id,
+                    role: 'user',
+                    content: prompt || '[File upload]',
+                    timestamp: timestamp,
+                    metadata: item
+                },
+                answers: [],
+                index: pairIndex++,
+                starred: false
+            };
+
+            if (responseHtml) {
+                pair.answers.push({
+                    id: id + '_response',
+                    role: 'assistant',
+                    content: this.htmlToMarkdown(responseHtml),
+                    timestamp: timestamp,
+                    model: this.formatModelName('gemini'),
+                    metadata: item
+                });
+            }
+
+            pairs.push(pair);
+        });
+
+        return pairs;
+    }
+
+    /**
+     * Convert simple HTML (as found in exports) to markdown
+     * Regex based so it also works where DOMParser is not available
+     */
+    htmlToMarkdown(html) {
+        let text = html
+            .replace(/\r\n/g, '\n')
+            .replace(/<pre[^>]*>\s*<code[^>]*>([\s\S]*?)<\/code>\s*<\/pre>/gi, (m, code) => '\n```\n' + code + '\n```\n')
+            .replace(/<pre[^>]*>([\s\S]*?)<\/pre>/gi, (m, code) => '\n```\n' + code + '\n```\n')
+            .replace(/<code[^>]*>([\s\S]*?)<\/code>/gi, '`$1`')
+            .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (m, level, inner) => '\n' + '#'.repeat(parseInt(level, 10)) + ' ' + inner + '\n\n')
+            .replace(/<(strong|b)(\s[^>]*)?>([\s\S]*?)<\/\1>/gi, '**$3**')
+            .replace(/<(em|i)(\s[^>]*)?>([\s\S]*?)<\/\1>/gi, '*$3*')
+            .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '[$2]($1)')
+            .replace(/<li[^>]*>/gi, '\n- ')
+            .replace(/<\/(ul|ol)>/gi, '\n\n')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(p|div|blockquote|table|tr)>/gi, '\n\n')
+            .replace(/<[^>]+>/g, '');
+
+        text = text
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;|&#x27;/g, "'")
+            .replace(/&amp;/g, '&');
+
+        return text.replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    /**
+     * Parse a Claude content block array (text, thinking, tool_use, tool_result)
+     * @returns {Object} { text, thinking, artifacts, toolBlocks, hasToolUse }
+     */
+    parseClaudeContentBlocks(blocks) {
+        let textContent = '';
+        let hasToolUse = false;
+        const thinkingParts = [];
+        const artifacts = [];
+        const toolBlocks = [];
+        const toolCalls = new Map(); // tool_use id -> index in toolBlocks
+
+        blocks.forEach(block => {
+            if (block.type === 'text') {
+                textContent += block.text || '';
+            } else if (block.type === 'thinking') {
+                if (block.thinking) {
+                    thinkingParts.push(block.thinking);
+                }
+            } else if (block.type === 'redacted_thinking') {
+                thinkingParts.push('*[Redacted thinking]*');
+            } else if (block.type === 'tool_use' || block.type === 'server_tool_use') {
+                hasToolUse = true;
+                const artifactCount = artifacts.length;
+
+                // Track if we've already captured an artifact from this block to avoid duplicates
+                let artifactCaptured = false;
+
+                // Priority 1: Check display_content.json_block (new file creation format)
+                if (block.display_content && block.display_content.type === 'json_block' && block.display_content.json_block) {
+                    console.log('[Artifact] Found json_block format for', block.name);
+                    try {
+                        const jsonData = JSON.parse(block.display_content.json_block);
+                        if (jsonData.code || jsonData.content) {
+                            const filename = jsonData.filename?.split('/').pop() || block.name || 'Artifact';
                             artifacts.push({
                                 id: filename,
-                                type: block.display_content.language || 'text',
+                                type: jsonData.language || 'text',
                                 title: filename,
-                                content: block.display_content.code
+                                content: jsonData.code || jsonData.content || ''
                             });
                             artifactCaptured = true;
-                            console.log('[Artifact] ✓ Captured from code_block:', filename, 'length:', block.display_content.code.length);
+                            console.log('[Artifact] ✓ Captured from json_block:', filename);
                         }
+                    } catch (error) {
+                        console.warn('[Artifact] ✗ Failed to parse json_block:', error);
+                        this.reportArtifactError(block.name || 'json_block', error.message);
+                    }
+                }
 
-                        // Priority 3: Check create_file with input.file_text (fallback when no display_content)
-                        if (!artifactCaptured && block.name === 'create_file' && block.input && block.input.file_text) {
-                            const filePath = block.input.path || '';
-                            const fileName = filePath.split('/').pop() || 'Artifact';
-                            const fileExt = fileName.split('.').pop() || 'txt';
+                // Priority 2: Check display_content.code_block (another file creation format)
+                if (!artifactCaptured && block.display_content && block.display_content.type === 'code_block' && block.display_content.code) {
+                    const filename = block.display_content.filename?.split('/').pop() ||
+                                      (block.input && block.input.path?.split('/').pop()) ||
+                                      block.name || 'Artifact';
+                    console.log('[Artifact] Found code_block format for', block.name, '->', filename);
+                    artifacts.push({
+                        id: filename,
+                        type: block.display_content.language || 'text',
+                        title: filename,
+                        content: block.display_content.code
+                    });
+                    artifactCaptured = true;
+                    console.log('[Artifact] ✓ Captured from code_block:', filename, 'length:', block.display_content.code.length);
+                }
 
-                            console.log('[Artifact] Found file_text format for', block.name, '->', fileName);
-                            artifacts.push({
-                                id: fileName,
-                                type: fileExt,
-                                title: fileName,
-                                content: block.input.file_text
-                            });
-                            artifactCaptured = true;
-                            console.log('[Artifact] ✓ Captured from file_text:', fileName, 'length:', block.input.file_text.length);
-                        }
+                // Priority 3: Check create_file with input.file_text (fallback when no display_content)
+                if (!artifactCaptured && block.name === 'create_file' && block.input && block.input.file_text) {
+                    const filePath = block.input.path || '';
+                    const fileName = filePath.split('/').pop() || 'Artifact';
+                    const fileExt = fileName.split('.').pop() || 'txt';
+
+                    console.log('[Artifact] Found file_text format for', block.name, '->', fileName);
+                    artifacts.push({
+                        id: fileName,
+                        type: fileExt,
+                        title: fileName,
+                        content: block.input.file_text
+                    });
+                    artifactCaptured = true;
+                    console.log('[Artifact] ✓ Captured from file_text:', fileName, 'length:', block.input.file_text.length);
+                }
 
-                        // Priority 4: Old format artifacts (name='artifacts' with input.content)
-                        if (block.name === 'artifacts' && block.input && block.input.content) {
-                            console.log('[Artifact] Found old format artifacts');
-                            artifacts.push({
-                                id: block.input.id,
-                                type: block.input.type,
-                                title: block.input.title || 'Artifact',
-                                content: block.input.content
-                            });
-                        }
-                    }
-                    // Ignore tool_result, token_budget, and other non-text blocks
-                });
+                // Priority 4: Old format artifacts (name='artifacts' with input.content)
+                if (block.name === 'artifacts' && block.input && block.input.content) {
+                    console.log('[Artifact] Found old format artifacts');
+                    artifacts.push({
+                        id: block.input.id,
+                        type: block.input.type,
+                        title: block.input.title || 'Artifact',
+                        content: block.input.content
+                    });
+                }
+
+                // Keep the call in the tool timeline; its result is matched by tool_use_id
+                // Artifact content is already shown in the artifact section, so only name it here
+                const call = this.buildClaudeToolCall(block);
+                if (artifacts.length > artifactCount && call.type === 'tool') {
+                    call.input = `Artifact: ${artifacts[artifacts.length - 1].title}`;
+                }
+                toolCalls.set(block.id, toolBlocks.length);
+                toolBlocks.push(call);
+            } else if (block.type === 'tool_result' || block.type === 'web_search_tool_result') {
+                this.addClaudeToolResult(toolBlocks, toolCalls, block);
+            }
+            // Ignore token_budget and other non-text blocks
+        });
+
+        return {
+            text: textContent,
+            thinking: thinkingParts.length > 0 ? thinkingParts.join('\n\n') : null,
+            artifacts,
+            toolBlocks,
+            hasToolUse
+        };
+    }
+
+    /**
+     * Build a tool timeline block for a Claude tool_use block
+     * Uses the same block types as ChatGPT tool messages (see buildToolBlock)
+     */
+    buildClaudeToolCall(block) {
+        if (block.name === 'web_search' && block.input?.query) {
+            return { type: 'search', queries: [block.input.query] };
+        }
+
+        const input = block.input;
+        return {
+            type: 'tool',
+            name: block.name || 'tool',
+            input: typeof input === 'string' ? input : JSON.stringify(input || {}, null, 2),
+            output: null
+        };
+    }
+
+    /**
+     * Attach a Claude tool_result block to its call in the tool timeline
+     * Web search results become a list of visited pages
+     */
+    addClaudeToolResult(toolBlocks, toolCalls, block) {
+        const content = block.content;
+        const items = Array.isArray(content) ? content : [];
+        const output = typeof content === 'string'
+            ? content
+            : items.filter(item => item.type === 'text').map(item => item.text || '').join('\n');
+
+        const pages = items
+            .filter(item => item.url && (item.type === 'knowledge' || item.type === 'web_search_result'))
+            .map(item => ({
+                url: item.url,
+                title: item.title || item.url,
+                domain: item.metadata?.site_domain || null,
+                text: item.text || ''
+            }));
+
+        if (pages.length > 0) {
+            toolBlocks.push({ type: 'browse', pages });
+        }
+
+        if (!output.trim()) {
+            return;
+        }
+
+        const callIndex = toolCalls.get(block.tool_use_id);
+        const call = callIndex !== undefined ? toolBlocks[callIndex] : null;
+        const result = block.is_error ? `Error: ${output}` : output;
+
+        if (call && call.type === 'tool' && call.output === null) {
+            call.output = result;
+        } else {
+            toolBlocks.push({ type: 'tool', name: block.name || (call && call.name) || 'tool', input: null, output: result });
+        }
+    }
+
+    // Parse Claude chat_messages format with content arrays
+    // defaultModel: conversation-level model id, used when a message has none
+    parseClaudeMessages(chatMessages, defaultModel = null) {
+        const pairs = [];
+        let pairIndex = 1;
+        let currentPair = null;
+
+        chatMessages.forEach((msg, idx) => {
+            const role = msg.role || msg.sender;
+            const isUser = role === 'user' || role === 'human'; // Claude uses 'human'
+            const isAssistant = role === 'assistant';
+
+            // Extract text, thinking and tool timeline from content array
+            let textContent = '';
+            let thinking = null;
+            let hasToolUse = false;
+            let hasAttachments = false; // Track file attachments
+            const artifacts = []; // Store artifacts separately
+            const toolBlocks = []; // Tool calls paired with their results, in order
+            const attachmentMarkers = []; // Store file info for display
+
+            if (msg.content && Array.isArray(msg.content)) {
+                const parsed = this.parseClaudeContentBlocks(msg.content);
+                textContent = parsed.text;
+                thinking = parsed.thinking;
+                hasToolUse = parsed.hasToolUse;
+                artifacts.push(...parsed.artifacts);
+                toolBlocks.push(...parsed.toolBlocks);
             } else if (typeof msg.content === 'string') {
                 textContent = msg.content;
             }
@@ -717,8 +1943,9 @@ class ChatGPTData {
                 });
             }
 
-            // Skip messages that have neither text content, tool_use, nor attachments
-            if (!textContent.trim() && !hasToolUse && !hasAttachments) {
+            // Skip messages that have neither text content, thinking, tool_use, nor attachments
+            if (!textContent.trim() && !thinking && !hasToolUse && !hasAttachments) {
+                this.reportSkippedMessage('empty');
                 return;
             }
 
@@ -752,12 +1979,15 @@ class ChatGPTData {
                 const answer = {
                     id: msg.uuid + '_response',
                     role: 'assistant',
-                    content: textContent || '[Tool use only - no text response]',
+                    // Answers with only thinking keep an empty text, the thinking section shows it
+                    content: textContent || (hasToolUse ? '[Tool use only - no text response]' : ''),
                     timestamp: timestamp,
-                    model: 'Claude', // Display Claude as model
+                    ...this.getModelFields(msg.model || msg.metadata?.model || defaultModel, 'Claude'),
+                    thinking: thinking, // Extended thinking, shown collapsed
                     metadata: msg,
                     toolUseOnly: hasToolUse && !textContent.trim(),
-                    artifacts: artifacts.length > 0 ? artifacts : undefined // Store artifacts if present
+                    artifacts: artifacts.length > 0 ? artifacts : undefined, // Store artifacts if present
+                    toolBlocks: toolBlocks.length > 0 ? toolBlocks : undefined
                 };
                 currentPair.answers.push(answer);
             }
@@ -766,36 +1996,112 @@ class ChatGPTData {
         return pairs;
     }
 
-    // Format model name for display
-    formatModelName(model) {
-        if (!model) return 'AI';
-
-        // If it's already 'Claude', return as-is
-        if (model === 'Claude') return 'Claude';
+    /**
+     * Read projects.json from a Claude export
+     * Docs are the project knowledge files, prompt_template holds the custom instructions
+     * @returns {Array} [{ uuid, name, description, instructions, docs: [{ uuid, filename, content, createTime }],
+     *   conversationIds, createTime, updateTime }]
+     * @throws {Error} If the file is not a list of projects
+     */
+    parseClaudeProjects(projects) {
+        if (!Array.isArray(projects)) {
+            throw new Error('projects.json should contain a list of projects');
+        }
 
-        const modelLower = model.toLowerCase();
+        return projects.filter(project => project && project.uuid && project.name).map(project => ({
+            uuid: project.uuid,
+            name: project.name,
+            description: project.description || null,
+            instructions: project.prompt_template || null,
+            docs: (project.docs || []).map(doc => ({
+                uuid: doc.uuid || null,
+                filename: doc.filename || 'Untitled',
+                content: doc.content || '',
+                createTime: doc.created_at ? this.parseISO8601(doc.created_at) : null
+            })),
+            // Some exports list the project's conversations on the project instead
+            conversationIds: (project.conversations || []).map(item => typeof item === 'string' ? item : item && item.uuid).filter(Boolean),
+            createTime: project.created_at ? this.parseISO8601(project.created_at) : null,
+            updateTime: project.updated_at ? this.parseISO8601(project.updated_at) : null
+        }));
+    }
 
-        if (modelLower.includes('deepseek')) {
-            if (modelLower.includes('reasoner')) {
-                return 'DeepSeek Reasoner';
-            }
-            return 'DeepSeek Chat';
+    /**
+     * Normalize API token usage to { inputTokens, outputTokens, totalTokens }
+     * Accepts OpenAI Chat (prompt_/completion_tokens), Responses / Anthropic (input_/output_tokens)
+     * and Ollama (prompt_eval_count/eval_count) shapes
+     * @returns {Object|null}
+     */
+    normalizeUsage(usage) {
+        if (!usage || typeof usage !== 'object') {
+            return null;
         }
 
-        if (modelLower.includes('gpt')) {
-            return model; // Return GPT model name as-is (e.g., "GPT-4", "gpt-4o")
-        }
+        // Anthropic counts cached input separately from input_tokens
+        const inputTokens = (usage.input_tokens ?? usage.prompt_tokens ?? usage.prompt_eval_count ?? 0) +
+            (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0);
+        const outputTokens = usage.output_tokens ?? usage.completion_tokens ?? usage.eval_count ?? 0;
+        return {
+            inputTokens: inputTokens,
+            outputTokens: outputTokens,
+            totalTokens: usage.total_tokens ?? inputTokens + outputTokens
+        };
+    }
 
-        if (modelLower.includes('claude')) {
-            return 'Claude';
+    /**
+     * Add up normalized usage objects, null when none have usage
+     */
+    sumUsage(usages) {
+        return usages.filter(Boolean).reduce((total, usage) => ({
+            inputTokens: (total ? total.inputTokens : 0) + usage.inputTokens,
+            outputTokens: (total ? total.outputTokens : 0) + usage.outputTokens,
+            totalTokens: (total ? total.totalTokens : 0) + usage.totalTokens
+        }), null);
+    }
+
+    /**
+     * Normalize a model id from any export using MODEL_FAMILIES
+     * Also accepts display names produced by formatModelName ("Claude 3.5 Sonnet")
+     * @returns {Object} { family, version, tier, label }
+     */
+    getModelInfo(model) {
+        if (!model) {
+            return { family: null, version: null, tier: null, label: 'AI' };
         }
 
-        if (modelLower.includes('gemini')) {
-            return 'Gemini';
+        // Dated snapshots ("gpt-4o-2024-08-06") share the label of the model
+        const name = String(model).trim().toLowerCase().replace(/[\s_]+/g, '-').replace(/-\d{4}-\d{2}-\d{2}$/, '');
+        const entry = MODEL_FAMILIES.find(item => item.pattern.test(name));
+        if (entry) {
+            return { family: entry.family, ...entry.parse(name) };
         }
 
-        // Capitalize first letter
-        return model.charAt(0).toUpperCase() + model.slice(1);
+        // Unknown model: the id is shown as it is ("llama3:8b")
+        const familyMatch = name.match(/^[a-z]+/);
+        return {
+            family: familyMatch ? familyMatch[0].charAt(0).toUpperCase() + familyMatch[0].slice(1) : null,
+            version: null,
+            tier: null,
+            label: String(model)
+        };
+    }
+
+    // Format model name for display
+    formatModelName(model) {
+        return this.getModelInfo(model).label;
+    }
+
+    /**
+     * Model of an answer: the display label, and the id from the export it was made from,
+     * so family and version can be read again with getModelInfo(modelId)
+     * @param {string} fallback - Label used when the export names no model
+     * @returns {Object} { model, modelId? }
+     */
+    getModelFields(modelId, fallback) {
+        if (!modelId) {
+            return { model: this.formatModelName(fallback) };
+        }
+        return { model: this.formatModelName(modelId), modelId: String(modelId) };
     }
 
     // Parse ISO 8601 timestamp to Unix timestamp
@@ -815,6 +2121,12 @@ class ChatGPTData {
     parseHTMLExport(htmlContent) {
         const conversations = [];
 
+        // Google Takeout My Activity page for Gemini Apps
+        if (this.isGeminiActivityHTML(htmlContent)) {
+            const activity = this.parseGeminiActivityHTML(htmlContent);
+            return this.parseJSONExport(activity).conversations;
+        }
+
         // Try to extract jsonData from script tag (ChatGPT's HTML export format)
         const startIndex = htmlContent.indexOf('var jsonData = ');
         if (startIndex !== -1) {
@@ -898,6 +2210,101 @@ class ChatGPTData {
         return conversations;
     }
 
+    /**
+     * Checks if HTML is a Google Takeout My Activity page for Gemini Apps
+     */
+    isGeminiActivityHTML(htmlContent) {
+        return htmlContent.includes('outer-cell') &&
+            (htmlContent.includes('Gemini Apps') || htmlContent.includes('>Bard<'));
+    }
+
+    /**
+     * Convert Takeout My Activity HTML into the same records as MyActivity.json
+     */
+    parseGeminiActivityHTML(htmlContent) {
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(htmlContent, 'text/html');
+        const activity = [];
+        const unknownZones = new Set();
+
+        doc.querySelectorAll('.outer-cell').forEach(cell => {
+            const header = cell.querySelector('.header-cell');
+            const content = cell.querySelector('.content-cell');
+            if (!header || !content) return;
+
+            // Content cell: "Prompted ..." <br> date <br> response html
+            const lines = [];
+            let responseHtml = '';
+            let node = content.firstChild;
+            while (node && lines.length < 2) {
+                if (node.nodeType === Node.TEXT_NODE && node.textContent.trim()) {
+                    lines.push(node.textContent.trim());
+                }
+                node = node.nextSibling;
+            }
+            while (node) {
+                responseHtml += node.nodeType === Node.ELEMENT_NODE ? node.outerHTML : node.textContent;
+                node = node.nextSibling;
+            }
+
+            const time = this.parseActivityDate(lines[1] || '', unknownZones);
+            if (time === null) {
+                if (this.importReport) {
+                    this.importReport.warnings.push(`Gemini activity "${lines[0] || ''}": date "${lines[1] || ''}" could not be read, the prompt was skipped`);
+                }
+                return;
+            }
+
+            activity.push({
+                header: header.textContent.trim(),
+                title: lines[0] || '',
+                time: new Date(time * 1000).toISOString(),
+                safeHtmlItem: responseHtml.trim() ? [{ html: responseHtml }] : []
+            });
+        });
+
+        if (this.importReport) {
+            unknownZones.forEach(zone => {
+                this.importReport.warnings.push(`Gemini activity: time zone "${zone}" is not known, its times were read as local time`);
+            });
+        }
+        return activity;
+    }
+
+    /**
+     * Read a Takeout activity date like "May 1, 2024, 12:34:56 PM CEST" or "... GMT+02:00"
+     * Zone names are read with TIME_ZONE_OFFSETS; dates without a known zone are local time
+     * @param {Set} unknownZones - Collects zone names missing from TIME_ZONE_OFFSETS
+     * @returns {number|null} Unix timestamp, or null if the date can't be read
+     */
+    parseActivityDate(text, unknownZones) {
+        const zone = text.trim().match(/^(.*?)\s+(?:(?:GMT|UTC)([+-])(\d{1,2})(?::?(\d{2}))?|(?![AP]M$)([A-Z]{2,5}))$/);
+        let offset = null;
+        let dateText = text.trim();
+        if (zone && zone[5]) {
+            if (zone[5] in TIME_ZONE_OFFSETS) {
+                offset = TIME_ZONE_OFFSETS[zone[5]];
+            } else {
+                unknownZones.add(zone[5]);
+            }
+            dateText = zone[1];
+        } else if (zone && zone[2]) {
+            offset = (zone[2] === '-' ? -1 : 1) * (parseInt(zone[3], 10) * 60 + parseInt(zone[4] || '0', 10));
+            dateText = zone[1];
+        }
+
+        // Date reads the rest as local time; with a zone, shift it to UTC and then by the offset
+        const date = new Date(dateText.replace(/\u202f/g, ' '));
+        if (isNaN(date.getTime())) {
+            return null;
+        }
+        if (offset === null) {
+            return date.getTime() / 1000;
+        }
+        const utc = date.getTime() - date.getTimezoneOffset() * 60 * 1000;
+        return (utc - offset * 60 * 1000) / 1000;
+    }
+
     parseHTMLConversation(doc, index) {
         try {
             // Extract title
@@ -969,9 +2376,49 @@ class ChatGPTData {
     }
 
     // Storage methods
-    async saveToStorage() {
+
+    /**
+     * Record that a conversation was added or changed, so the next save writes it
+     */
+    markDirty(id) {
+        this.deletedIds.delete(id);
+        this.dirtyIds.add(id);
+    }
+
+    /**
+     * Record that a conversation was removed, so the next save deletes it
+     */
+    markDeleted(id) {
+        this.dirtyIds.delete(id);
+        this.deletedIds.add(id);
+    }
+
+    /**
+     * Save changes made since the last save
+     * Saves run one at a time; a save requested while one is running waits for it and
+     * then writes every change made until it starts, so bursts of edits are batched
+     */
+    saveToStorage() {
+        if (!this.queuedSave) {
+            const running = this.runningSave || Promise.resolve();
+            const save = running.catch(() => {}).then(() => {
+                this.queuedSave = null;
+                this.runningSave = save;
+                return this.writeChanges();
+            }).finally(() => {
+                if (this.runningSave === save) {
+                    this.runningSave = null;
+                }
+            });
+            this.queuedSave = save;
+        }
+        return this.queuedSave;
+    }
+
+    async writeChanges() {
         const data = {
             conversations: this.conversations,
+            trashedConversations: this.trashedConversations,
             folders: this.folders,
             currentConversationId: this.currentConversationId,
             currentSort: this.currentSort
@@ -979,24 +2426,55 @@ class ChatGPTData {
 
         // Try IndexedDB first if available
         if (this.storageMode === 'indexeddb') {
+            const changedIds = [...this.dirtyIds];
+            const deletedIds = [...this.deletedIds];
+            const foldersChanged = this.foldersChanged;
+            this.dirtyIds.clear();
+            this.deletedIds.clear();
+            this.foldersChanged = false;
+
             try {
-                // Save conversations to IndexedDB
-                await this.idbStorage.saveConversations(this.conversations);
+                // Write only the conversations that changed
+                // Copies keep the pairs being written even if the bodies are released meanwhile
+                const byId = new Map([...this.conversations, ...this.trashedConversations].map(conv => [conv.id, conv]));
+                const changed = changedIds.map(id => byId.get(id)).filter(Boolean).map(conv => {
+                    if (conv.pairs) {
+                        this.updateListSummary(conv);
+                    }
+                    return { ...conv };
+                });
+                await this.idbStorage.writeConversations(changed, deletedIds);
 
                 // Save settings
                 await this.idbStorage.saveSetting('currentConversationId', this.currentConversationId);
                 await this.idbStorage.saveSetting('currentSort', this.currentSort);
-                await this.idbStorage.saveSetting('folders', this.folders);
+                if (foldersChanged) {
+                    await this.idbStorage.saveSetting('folders', this.folders);
+                }
 
-                console.log('Data saved to IndexedDB');
+                console.log(`Data saved to IndexedDB (${changed.length} changed, ${deletedIds.length} deleted)`);
                 return;
             } catch (error) {
+                // Keep the changes for the next save, unless they were overtaken meanwhile
+                changedIds.forEach(id => {
+                    if (!this.deletedIds.has(id)) this.dirtyIds.add(id);
+                });
+                deletedIds.forEach(id => {
+                    if (!this.dirtyIds.has(id)) this.deletedIds.add(id);
+                });
+                this.foldersChanged = this.foldersChanged || foldersChanged;
                 console.error('IndexedDB save failed, falling back to localStorage:', error);
                 // Fall through to localStorage fallback
             }
         }
 
         // localStorage fallback (or if IndexedDB is not available)
+        // Released conversations have their pairs only in IndexedDB, and writing them
+        // without would replace a complete fallback copy with empty conversations
+        if (data.conversations.some(conv => !conv.pairs) || data.trashedConversations.some(conv => !conv.pairs)) {
+            console.error('localStorage save skipped: conversations not loaded from IndexedDB would be saved without messages');
+            return;
+        }
         try {
             localStorage.setItem(this.storageKey, JSON.stringify(data));
             console.log('Data saved to localStorage');
@@ -1010,13 +2488,26 @@ class ChatGPTData {
     }
 
     async loadFromStorage() {
+        // A database that can not be opened or migrated is not used until reload: conversations
+        // then keep their pairs in memory and changes are saved to localStorage
+        if (this.storageMode === 'indexeddb') {
+            try {
+                await this.idbStorage.init();
+            } catch (error) {
+                console.error('IndexedDB could not be opened, using localStorage:', error);
+                this.storageMode = 'localstorage';
+            }
+        }
+
         // Try IndexedDB first if available
         if (this.storageMode === 'indexeddb') {
             try {
                 // Load conversations from IndexedDB
                 const conversations = await this.idbStorage.loadConversations();
                 if (conversations && conversations.length > 0) {
-                    this.conversations = conversations;
+                    // Deleted conversations are stored with the others, marked with trashedAt
+                    this.conversations = conversations.filter(conv => !conv.trashedAt);
+                    this.trashedConversations = conversations.filter(conv => conv.trashedAt);
 
                     // Load settings
                     this.currentConversationId = await this.idbStorage.loadSetting('currentConversationId');
@@ -1030,6 +2521,12 @@ class ChatGPTData {
                         this.initializeDefaultFolder();
                     }
 
+                    await this.buildMissingListSummaries();
+
+                    if (this.currentConversationId) {
+                        await this.loadConversationBody(this.currentConversationId);
+                    }
+
                     console.log('Data loaded from IndexedDB');
                     return true;
                 } else {
@@ -1047,43 +2544,528 @@ class ChatGPTData {
             if (stored) {
                 const data = JSON.parse(stored);
                 this.conversations = data.conversations || [];
+                this.trashedConversations = data.trashedConversations || [];
                 this.folders = data.folders || [];
                 this.currentConversationId = data.currentConversationId;
                 this.currentSort = data.currentSort || 'newestCreated';
 
-                // Initialize default folder if none exist
-                if (this.folders.length === 0) {
-                    this.initializeDefaultFolder();
-                }
+                // Initialize default folder if none exist
+                if (this.folders.length === 0) {
+                    this.initializeDefaultFolder();
+                }
+
+                // Data from before IndexedDB was available moves there with the next save
+                if (this.storageMode === 'indexeddb') {
+                    [...this.conversations, ...this.trashedConversations].forEach(conv => this.markDirty(conv.id));
+                    this.foldersChanged = true;
+                }
+
+                console.log('Data loaded from localStorage');
+                return true;
+            }
+        } catch (error) {
+            console.error('Error loading from localStorage:', error);
+        }
+
+        // Initialize default folder if no data loaded
+        this.initializeDefaultFolder();
+        return false;
+    }
+
+    // =========================================================================
+    // CONVERSATION BODIES
+    // =========================================================================
+
+    /**
+     * Keep the fields the conversation list needs while the pairs are not loaded:
+     * the starred pairs folder and the date filter's message times
+     */
+    updateListSummary(conv) {
+        conv.starredPairs = conv.pairs
+            .filter(pair => pair.starred)
+            .map(pair => ({ id: pair.id, question: { content: pair.question.content.substring(0, 200) } }));
+
+        const times = new Set();
+        conv.pairs.forEach(pair => {
+            [pair.question, ...pair.answers].forEach(msg => {
+                if (msg.timestamp) {
+                    times.add(Math.floor(msg.timestamp / 60) * 60);
+                }
+            });
+        });
+        conv.messageTimes = [...times].sort((a, b) => a - b);
+    }
+
+    /**
+     * Build the list summaries of conversations whose pairs were moved to the bodies store
+     * by a migration, a batch of bodies at a time
+     */
+    async buildMissingListSummaries() {
+        const missing = this.conversations.filter(conv => !conv.messageTimes);
+        for (let i = 0; i < missing.length; i++) {
+            await this.loadConversationBody(missing[i].id);
+            this.markDirty(missing[i].id);
+            if ((i + 1) % WRITE_BATCH_SIZE === 0 || i === missing.length - 1) {
+                await this.saveToStorage();
+                this.releaseBodies(this.currentConversationId);
+            }
+        }
+        if (missing.length > 0) {
+            console.log(`Built list summaries for ${missing.length} conversations`);
+        }
+    }
+
+    /**
+     * Make sure a conversation's pairs are in memory
+     * @returns {Promise<Object|null>} The conversation, or null if it does not exist
+     */
+    async loadConversationBody(id) {
+        const conv = this.getConversation(id);
+        if (!conv) {
+            return null;
+        }
+
+        if (!conv.pairs) {
+            const body = this.idbStorage && await this.idbStorage.loadBody(id);
+            conv.pairs = (body && body.pairs) || [];
+            if (body && body.trashedPairContent) {
+                conv.trashedPairContent = body.trashedPairContent;
+            }
+        }
+        return conv;
+    }
+
+    async loadConversationBodies(ids) {
+        for (const id of ids) {
+            await this.loadConversationBody(id);
+        }
+    }
+
+    /**
+     * Drop the pairs of conversations that are not open, so memory stays flat while browsing
+     * Conversations with unsaved changes keep them until they are written
+     */
+    releaseBodies(keepId = null) {
+        if (this.storageMode !== 'indexeddb') return;
+
+        [...this.conversations, ...this.trashedConversations].forEach(conv => {
+            if (conv.pairs && conv.id !== keepId && !this.dirtyIds.has(conv.id)) {
+                delete conv.pairs;
+                delete conv.trashedPairContent;
+            }
+        });
+    }
+
+    /**
+     * Make a conversation the current one, loading its pairs and releasing the others
+     * @returns {Promise<Object|null>} The conversation
+     */
+    async openConversation(id) {
+        this.currentConversationId = id;
+        let conv = null;
+        try {
+            conv = await this.loadConversationBody(id);
+        } catch (error) {
+            console.error('Error loading conversation body:', error);
+        }
+        this.releaseBodies(id);
+        await this.saveToStorage();
+        return conv;
+    }
+
+    async clearStorage() {
+        if (!await this.createSnapshot('clear') && this.storageMode === 'indexeddb' && this.conversations.length > 0) {
+            throw new Error('The restore point could not be created, so nothing was cleared');
+        }
+
+        // Folders are kept, and with them the details of their Claude projects
+        const projects = [];
+        for (const folder of this.folders.filter(f => f.project)) {
+            const project = await this.getProjectDetails(folder.project.uuid);
+            if (project) projects.push(project);
+        }
+
+        // Clear IndexedDB if available
+        if (this.storageMode === 'indexeddb') {
+            try {
+                await this.idbStorage.clear();
+                await this.saveProjectDetails(projects);
+                console.log('IndexedDB cleared');
+            } catch (error) {
+                console.error('Error clearing IndexedDB:', error);
+            }
+        }
+
+        // Clear localStorage
+        localStorage.removeItem(this.storageKey);
+        this.assetCache.clear();
+        this.sourceCache.clear();
+        this.dirtyIds.clear();
+        this.deletedIds.clear();
+        this.foldersChanged = true; // Folders are kept and written again with the next save
+        this.conversations = [];
+        this.trashedConversations = [];
+        this.currentConversationId = null;
+        console.log('Storage cleared');
+    }
+
+    // =========================================================================
+    // RESTORE POINTS
+    // =========================================================================
+
+    /**
+     * Store the library as a restore point, in the same shape as a saved project
+     * Images, originals from exports and the trash are not included. Needs IndexedDB; failures are
+     * logged, imports go ahead without one while clearing and restoring stop
+     * @param {string} reason - 'import', 'clear', 'daily', 'restore' or 'manual'
+     * @returns {Promise<Object|null>} The restore point, or null if none was taken
+     */
+    async createSnapshot(reason) {
+        if (this.storageMode !== 'indexeddb' || this.conversations.length === 0) {
+            return null;
+        }
+
+        try {
+            const { blob, conversationCount } = await this.buildSnapshotBlob();
+            const createdAt = Date.now() / 1000;
+            const snapshot = {
+                id: `snapshot_${Date.now()}_${reason}`,
+                reason,
+                createdAt,
+                conversationCount,
+                size: blob.size,
+                ...await this.compressBlob(blob)
+            };
+
+            await this.idbStorage.saveSnapshot(snapshot);
+            await this.pruneSnapshots();
+            console.log(`Restore point created (${reason}, ${conversationCount} conversations)`);
+            return snapshot;
+        } catch (error) {
+            console.error('Error creating restore point:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Serialize the library one conversation at a time; the text is gathered into blobs
+     * as it goes, so the browser can keep it out of memory
+     */
+    async buildSnapshotBlob() {
+        const conversations = [...this.conversations];
+        const parts = [`{"version":"1.0","exportDate":${JSON.stringify(new Date().toISOString())},"folders":${JSON.stringify(this.folders)},"conversations":[`];
+        let totalPairs = 0;
+
+        for (let i = 0; i < conversations.length; i++) {
+            const conv = await this.getExportConversation(conversations[i]);
+            totalPairs += conv.pairs.length;
+            parts.push((i > 0 ? ',' : '') + JSON.stringify(conv));
+            if (parts.length >= WRITE_BATCH_SIZE) {
+                parts.splice(0, parts.length, new Blob(parts));
+            }
+        }
+
+        parts.push(`],"metadata":${JSON.stringify({ totalConversations: conversations.length, totalPairs })}}`);
+        return { blob: new Blob(parts, { type: 'application/json' }), conversationCount: conversations.length };
+    }
+
+    /**
+     * Restore points, newest first
+     * @returns {Promise<Array>} { id, reason, createdAt, conversationCount, size, compressed, data }
+     */
+    async listSnapshots() {
+        if (this.storageMode !== 'indexeddb') {
+            return [];
+        }
+
+        try {
+            return (await this.idbStorage.loadSnapshots()).reverse();
+        } catch (error) {
+            console.error('Error loading restore points:', error);
+            return [];
+        }
+    }
+
+    async deleteSnapshot(id) {
+        await this.idbStorage.deleteSnapshot(id);
+    }
+
+    getSnapshotRetention() {
+        try {
+            return { ...DEFAULT_SNAPSHOT_RETENTION, ...JSON.parse(localStorage.getItem(this.snapshotRetentionKey)) };
+        } catch (error) {
+            return { ...DEFAULT_SNAPSHOT_RETENTION };
+        }
+    }
+
+    /**
+     * @param {Object} retention - { maxCount, maxAgeDays }
+     */
+    async setSnapshotRetention(retention) {
+        localStorage.setItem(this.snapshotRetentionKey, JSON.stringify({ ...this.getSnapshotRetention(), ...retention }));
+        await this.pruneSnapshots();
+    }
+
+    /**
+     * Delete restore points beyond the retention policy, keeping the newest one
+     */
+    async pruneSnapshots() {
+        const { maxCount, maxAgeDays } = this.getSnapshotRetention();
+        const oldest = maxAgeDays > 0 ? Date.now() / 1000 - maxAgeDays * 24 * 60 * 60 : -Infinity;
+        const snapshots = await this.listSnapshots();
+
+        for (let i = 1; i < snapshots.length; i++) {
+            if (i >= maxCount || snapshots[i].createdAt < oldest) {
+                await this.idbStorage.deleteSnapshot(snapshots[i].id);
+            }
+        }
+    }
+
+    /**
+     * Take the daily restore point if the last one is more than a day old
+     */
+    async takeDailySnapshot() {
+        const snapshots = await this.listSnapshots();
+        const lastDaily = snapshots.find(snapshot => snapshot.reason === 'daily');
+        if (!lastDaily || Date.now() / 1000 - lastDaily.createdAt >= DAILY_SNAPSHOT_INTERVAL) {
+            return this.createSnapshot('daily');
+        }
+        return null;
+    }
+
+    /**
+     * JSON text of a restore point, a saved project file
+     */
+    async readSnapshotText(id) {
+        const snapshot = await this.idbStorage.loadSnapshot(id);
+        if (!snapshot) {
+            throw new Error('Restore point not found');
+        }
+        return this.readSourceText(snapshot);
+    }
+
+    /**
+     * Replace the library with a restore point
+     * The current library is kept as a restore point first, so this can be undone.
+     * Restore points have no originals: a restored conversation finds its original only if
+     * it is still stored, i.e. it was not cleared or purged from the trash meanwhile
+     * @returns {Promise<number>} Number of conversations restored
+     */
+    async restoreSnapshot(id) {
+        const project = JSON.parse(await this.readSnapshotText(id));
+        if (!await this.createSnapshot('restore') && this.conversations.length > 0) {
+            throw new Error('The current library could not be kept as a restore point, so nothing was restored');
+        }
+
+        const restoredIds = new Set(project.conversations.map(conv => conv.id));
+        this.trashedConversations = this.trashedConversations.filter(conv => !restoredIds.has(conv.id));
+        this.conversations.forEach(conv => {
+            if (!restoredIds.has(conv.id)) {
+                this.markDeleted(conv.id);
+            }
+        });
+
+        this.conversations = project.conversations;
+        this.conversations.forEach(conv => this.markDirty(conv.id));
+        this.folders = project.folders || [];
+        if (this.folders.length === 0) {
+            this.initializeDefaultFolder();
+        }
+        this.foldersChanged = true;
+        if (!restoredIds.has(this.currentConversationId)) {
+            this.currentConversationId = null;
+        }
+
+        await this.saveToStorage();
+        this.releaseBodies(this.currentConversationId);
+        return this.conversations.length;
+    }
+
+    // =========================================================================
+    // ASSET STORAGE
+    // =========================================================================
+
+    /**
+     * Save imported assets (images, files from export ZIPs)
+     * @param {Array} assets - { id, fileId, name, mimeType, size, blob }
+     */
+    async saveAssets(assets) {
+        if (this.storageMode === 'indexeddb') {
+            try {
+                await this.idbStorage.saveAssets(assets);
+                return;
+            } catch (error) {
+                console.error('IndexedDB asset save failed, keeping assets in memory:', error);
+            }
+        }
+
+        // Without IndexedDB assets only last for this session
+        assets.forEach(asset => {
+            this.assetCache.set(asset.fileId || asset.id, asset);
+        });
+    }
+
+    /**
+     * Get an imported asset by file id
+     * @returns {Object|null} Asset record or null if it was not imported
+     */
+    async getAsset(fileId) {
+        if (!fileId) return null;
+
+        if (this.assetCache.has(fileId)) {
+            return this.assetCache.get(fileId);
+        }
+
+        if (this.storageMode === 'indexeddb') {
+            try {
+                return await this.idbStorage.loadAsset(fileId);
+            } catch (error) {
+                console.error('Error loading asset:', fileId, error);
+            }
+        }
+        return null;
+    }
+
+    // =========================================================================
+    // ORIGINAL SOURCES
+    // =========================================================================
+
+    /**
+     * Compress the original record of a parsed conversation
+     * @param {Object} rawSource - { format, original } from parseSingleConversation,
+     *   returned unchanged when it was already compressed (in the import worker)
+     * @returns {Promise<Object>} { format, data: Blob, compressed, size }
+     */
+    async compressSource(rawSource) {
+        if (rawSource.data) {
+            return rawSource;
+        }
+
+        const blob = new Blob([JSON.stringify(rawSource.original)], { type: 'application/json' });
+        return { format: rawSource.format, ...await this.compressBlob(blob), size: blob.size };
+    }
+
+    /**
+     * Gzip a blob where CompressionStream is available
+     * @returns {Promise<Object>} { data, compressed }, read back with readSourceText()
+     */
+    async compressBlob(blob) {
+        if (typeof CompressionStream === 'undefined') {
+            return { data: blob, compressed: false };
+        }
+
+        const stream = blob.stream().pipeThrough(new CompressionStream('gzip'));
+        return { data: await new Response(stream).blob(), compressed: true };
+    }
+
+    /**
+     * Store the originals of imported conversations
+     * @param {Array} sources - [{ id, rawSource }]
+     */
+    async saveSources(sources) {
+        if (sources.length === 0) {
+            return;
+        }
+
+        const records = [];
+        for (const { id, rawSource } of sources) {
+            records.push({ id, ...await this.compressSource(rawSource), importedAt: Date.now() / 1000 });
+        }
+
+        if (this.storageMode === 'indexeddb') {
+            try {
+                await this.idbStorage.saveSources(records);
+                return;
+            } catch (error) {
+                console.error('IndexedDB source save failed, keeping sources in memory:', error);
+            }
+        }
+
+        // Without IndexedDB originals only last for this session
+        records.forEach(record => {
+            this.sourceCache.set(record.id, record);
+        });
+    }
+
+    /**
+     * Get the stored original of a conversation
+     * @returns {Promise<Object|null>} { id, format, data, compressed, size, importedAt }, or null
+     *   for conversations imported from HTML or before originals were kept
+     */
+    async getSource(id) {
+        if (this.sourceCache.has(id)) {
+            return this.sourceCache.get(id);
+        }
 
-                console.log('Data loaded from localStorage');
-                return true;
+        if (this.storageMode === 'indexeddb') {
+            try {
+                return await this.idbStorage.loadSource(id);
+            } catch (error) {
+                console.error('Error loading source:', id, error);
             }
-        } catch (error) {
-            console.error('Error loading from localStorage:', error);
         }
+        return null;
+    }
 
-        // Initialize default folder if no data loaded
-        this.initializeDefaultFolder();
-        return false;
+    /**
+     * Uncompressed JSON text of a stored original
+     */
+    async readSourceText(record) {
+        if (!record.compressed) {
+            return record.data.text();
+        }
+        const stream = record.data.stream().pipeThrough(new DecompressionStream('gzip'));
+        return new Response(stream).text();
     }
 
-    async clearStorage() {
-        // Clear IndexedDB if available
+    async deleteSource(id) {
+        this.sourceCache.delete(id);
         if (this.storageMode === 'indexeddb') {
             try {
-                await this.idbStorage.clear();
-                console.log('IndexedDB cleared');
+                await this.idbStorage.deleteSource(id);
             } catch (error) {
-                console.error('Error clearing IndexedDB:', error);
+                console.error('Error deleting source:', id, error);
             }
         }
+    }
 
-        // Clear localStorage
-        localStorage.removeItem(this.storageKey);
-        this.conversations = [];
-        this.currentConversationId = null;
-        console.log('Storage cleared');
+    /**
+     * Parse a conversation again from its stored original, e.g. after a parser was improved
+     * Stars, folder and title are kept, as when a re-import overwrites a conversation
+     * @returns {Promise<Object|null>} The re-parsed conversation, or null without a stored original
+     * @throws {Error} If the conversation was merged from several imports, or the original can
+     *   no longer be parsed
+     */
+    async reparseConversation(id) {
+        // The stars being kept are in the current pairs
+        await this.loadConversationBody(id);
+        const index = this.conversations.findIndex(c => c.id === id);
+        const record = index !== -1 ? await this.getSource(id) : null;
+        if (!record) {
+            return null;
+        }
+
+        // Only the latest import's original is stored, the pairs of earlier ones would be lost
+        if (this.conversations[index].mergedImport) {
+            throw new Error('This conversation was merged from several imports and only the latest original is stored');
+        }
+
+        const parsed = this.parseSingleConversation(JSON.parse(await this.readSourceText(record)));
+        if (!parsed) {
+            throw new Error('The original could not be parsed, see the console for details');
+        }
+
+        const { rawSource, ...conv } = parsed;
+        const existing = this.conversations[index];
+        this.conversations[index] = {
+            ...this.applyUserState(conv, this.getUserState(existing), existing.deletedPairKeys),
+            // Formats without ids get a new random one on every parse
+            id: existing.id
+        };
+
+        this.markDirty(id);
+        await this.saveToStorage();
+        return this.conversations[index];
     }
 
     // Conversation management
@@ -1115,18 +3097,53 @@ class ChatGPTData {
      * Add conversations with duplicate handling
      * @param {Array} conversationsToAdd - Array of conversations to add
      * @param {Array} duplicatesToOverwrite - Array of conversation IDs to overwrite (optional)
+     * @param {Array} duplicatesToMerge - Array of conversation IDs to merge into the existing ones (optional)
+     * @returns {Object} { mergedPairs, kept } - Pairs added by merging, and user state kept on overwritten
+     *   conversations: { starred, folders, titles, starredPairs } counts
      */
-    async addConversations(conversationsToAdd, duplicatesToOverwrite = []) {
+    async addConversations(conversationsToAdd, duplicatesToOverwrite = [], duplicatesToMerge = []) {
         const overwriteSet = new Set(duplicatesToOverwrite);
+        const mergeSet = new Set(duplicatesToMerge);
+        let mergedPairs = 0;
+        const kept = { starred: 0, folders: 0, titles: 0, starredPairs: 0 };
 
-        conversationsToAdd.forEach(conv => {
+        const sources = [];
+
+        // Merging and overwriting read the existing pairs
+        await this.loadConversationBodies([...overwriteSet, ...mergeSet]);
+
+        // A re-imported conversation replaces its copy in the trash
+        const importedIds = new Set(conversationsToAdd.map(conv => conv.id));
+        this.trashedConversations = this.trashedConversations.filter(conv => !importedIds.has(conv.id));
+
+        conversationsToAdd.forEach(({ rawSource, ...conv }) => {
             const existingIndex = this.conversations.findIndex(c => c.id === conv.id);
+            // Skipped duplicates keep the original they were imported from
+            if (existingIndex === -1 || mergeSet.has(conv.id) || overwriteSet.has(conv.id)) {
+                this.markDirty(conv.id);
+                if (rawSource) {
+                    sources.push({ id: conv.id, rawSource });
+                }
+            }
 
             if (existingIndex !== -1) {
                 // Duplicate exists
-                if (overwriteSet.has(conv.id)) {
-                    // Overwrite existing
-                    this.conversations[existingIndex] = conv;
+                if (mergeSet.has(conv.id)) {
+                    // Append new pairs, keep existing pairs and user changes
+                    const result = this.mergeConversation(this.conversations[existingIndex], conv);
+                    // The new original replaces the stored one, see reparseConversation
+                    this.conversations[existingIndex] = { ...result.conversation, mergedImport: true };
+                    mergedPairs += result.added;
+                } else if (overwriteSet.has(conv.id)) {
+                    // Overwrite existing, carrying the user's stars, folder and title across
+                    const existing = this.conversations[existingIndex];
+                    const state = this.getUserState(existing);
+                    this.conversations[existingIndex] = this.applyUserState(conv, state, existing.deletedPairKeys);
+
+                    if (state.starred) kept.starred++;
+                    if (state.folderId) kept.folders++;
+                    if (state.title) kept.titles++;
+                    kept.starredPairs += state.starredPairCount;
                 }
                 // If not in overwriteSet, skip (keep old)
             } else {
@@ -1139,6 +3156,136 @@ class ChatGPTData {
         this.conversations.sort((a, b) => b.updateTime - a.updateTime);
 
         await this.saveToStorage();
+        this.releaseBodies(this.currentConversationId);
+        await this.saveSources(sources);
+        return { mergedPairs, kept };
+    }
+
+    /**
+     * User-owned state of a conversation, kept when it is overwritten by a re-import
+     * @returns {Object} { starred, folderId, title, starredPairKeys, starredPairCount, trashedPairs,
+     *   trashedPairContent }
+     *   title is null unless the user renamed the conversation
+     */
+    getUserState(conv) {
+        const starredPairs = [];
+        this.forEachPair(conv.pairs, pair => {
+            if (pair.starred) starredPairs.push(pair);
+        });
+
+        return {
+            starred: !!conv.starred,
+            folderId: conv.folderId || null,
+            title: conv.titleEdited ? conv.title : null,
+            starredPairKeys: starredPairs.flatMap(pair => this.getPairKeys(pair)),
+            starredPairCount: starredPairs.length,
+            trashedPairs: conv.trashedPairs || [],
+            trashedPairContent: conv.trashedPairContent || {}
+        };
+    }
+
+    /**
+     * Apply user state from getUserState to a newly imported conversation
+     * Starred pairs are matched by id or content
+     */
+    applyUserState(conv, state, deletedPairKeys) {
+        const conversation = {
+            ...conv,
+            starred: conv.starred || state.starred,
+            folderId: state.folderId || conv.folderId || null
+        };
+
+        if (state.title) {
+            conversation.title = state.title;
+            conversation.titleEdited = true;
+        }
+
+        if (deletedPairKeys) {
+            conversation.deletedPairKeys = deletedPairKeys;
+        }
+
+        // Pairs in the trash stay restorable
+        if (state.trashedPairs && state.trashedPairs.length > 0) {
+            conversation.trashedPairs = state.trashedPairs;
+            conversation.trashedPairContent = state.trashedPairContent;
+        }
+
+        const starredKeys = new Set(state.starredPairKeys);
+        this.forEachPair(conversation.pairs, pair => {
+            if (this.getPairKeys(pair).some(key => starredKeys.has(key))) {
+                pair.starred = true;
+            }
+        });
+
+        return conversation;
+    }
+
+    /**
+     * Merge a re-imported conversation into the existing one
+     * Pairs are matched by id or by content; unmatched pairs are appended in order.
+     * Existing pairs (stars, branches) and the conversation's title, star and folder are kept,
+     * and pairs the user deleted are not brought back
+     * @returns {Object} { conversation, added }
+     */
+    mergeConversation(existing, incoming) {
+        const knownKeys = new Set(existing.deletedPairKeys || []);
+        this.collectPairKeys(existing.pairs, knownKeys);
+
+        const newPairs = incoming.pairs.filter(pair =>
+            !this.getPairKeys(pair).some(key => knownKeys.has(key))
+        );
+
+        const conversation = {
+            ...existing,
+            pairs: [...existing.pairs, ...newPairs],
+            updateTime: Math.max(existing.updateTime, incoming.updateTime)
+        };
+
+        this.numberPairs(conversation.pairs, 1);
+        this.updateConversationTimestamps(conversation);
+
+        return { conversation, added: newPairs.length };
+    }
+
+    /**
+     * Keys that identify a pair across imports: its id and a hash of its content
+     */
+    getPairKeys(pair) {
+        const question = (pair.question?.content || '').trim();
+        const answer = (pair.answers[0]?.content || '').trim();
+        return [pair.id, `content:${this.hashString(question + '\u0000' + answer)}`];
+    }
+
+    /**
+     * Add the keys of all pairs, including those on inactive branches
+     */
+    collectPairKeys(pairs, keys) {
+        this.forEachPair(pairs, pair => {
+            this.getPairKeys(pair).forEach(key => keys.add(key));
+        });
+    }
+
+    /**
+     * Call back for every pair, including those on inactive branches
+     */
+    forEachPair(pairs, callback) {
+        pairs.forEach(pair => {
+            callback(pair);
+            if (pair.branches) {
+                pair.branches.tails.forEach(tail => {
+                    if (tail) this.forEachPair(tail, callback);
+                });
+            }
+        });
+    }
+
+    // Simple 32-bit string hash (djb2), used for content matching
+    hashString(text) {
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(36);
     }
 
     getConversation(id) {
@@ -1156,21 +3303,31 @@ class ChatGPTData {
         const conv = this.getConversation(id);
         if (conv) {
             conv.title = newTitle;
+            conv.titleEdited = true; // Kept when the conversation is overwritten by a re-import
             conv.updateTime = Date.now() / 1000;
+            this.markDirty(id);
             await this.saveToStorage();
             return true;
         }
         return false;
     }
 
+    /**
+     * Move a conversation to the trash; its folder and place in the list are kept for restoring
+     */
     async deleteConversation(id) {
         const index = this.conversations.findIndex(c => c.id === id);
         if (index !== -1) {
-            this.conversations.splice(index, 1);
+            const [conv] = this.conversations.splice(index, 1);
+            conv.trashedAt = Date.now() / 1000;
+            conv.trashedIndex = index;
+            this.trashedConversations.push(conv);
             if (this.currentConversationId === id) {
                 this.currentConversationId = null;
             }
+            this.markDirty(id);
             await this.saveToStorage();
+            this.releaseBodies(this.currentConversationId);
             return true;
         }
         return false;
@@ -1187,6 +3344,7 @@ class ChatGPTData {
         const conv = this.getConversation(id);
         if (conv) {
             conv.starred = !conv.starred;
+            this.markDirty(id);
             await this.saveToStorage();
             return conv.starred;
         }
@@ -1200,24 +3358,41 @@ class ChatGPTData {
     }
 
     // Search methods
-    searchConversations(query) {
+    /**
+     * Conversations whose title or messages contain the query
+     * Bodies that are not loaded are read from IndexedDB one at a time
+     */
+    async searchConversations(query) {
         if (!query || query.trim() === '') {
             return this.conversations;
         }
 
         const lowerQuery = query.toLowerCase();
+        const pairsMatch = (pairs) => pairs.some(pair =>
+            pair.question.content.toLowerCase().includes(lowerQuery) ||
+            pair.answers.some(ans => ans.content.toLowerCase().includes(lowerQuery))
+        );
 
-        return this.conversations.filter(conv => {
-            // Search in title
-            if (conv.title.toLowerCase().includes(lowerQuery)) {
-                return true;
+        const matches = new Set();
+        const unloaded = new Set();
+        this.conversations.forEach(conv => {
+            // Search in title, then in pairs
+            if (conv.title.toLowerCase().includes(lowerQuery) || (conv.pairs && pairsMatch(conv.pairs))) {
+                matches.add(conv.id);
+            } else if (!conv.pairs) {
+                unloaded.add(conv.id);
             }
-            // Search in pairs
-            return conv.pairs.some(pair =>
-                pair.question.content.toLowerCase().includes(lowerQuery) ||
-                pair.answers.some(ans => ans.content.toLowerCase().includes(lowerQuery))
-            );
         });
+
+        if (unloaded.size > 0 && this.idbStorage) {
+            await this.idbStorage.forEachBody(body => {
+                if (unloaded.has(body.id) && pairsMatch(body.pairs)) {
+                    matches.add(body.id);
+                }
+            });
+        }
+
+        return this.conversations.filter(conv => matches.has(conv.id));
     }
 
     searchInConversation(conversationId, query) {
@@ -1246,15 +3421,18 @@ class ChatGPTData {
     }
 
     getStarredPairs(conversationId = null) {
+        // Conversations without loaded pairs have the starred ones in their list summary
+        const starredPairsOf = (conv) => conv.pairs ? conv.pairs.filter(p => p.starred) : (conv.starredPairs || []);
+
         if (conversationId) {
             const conv = this.getConversation(conversationId);
-            return conv ? conv.pairs.filter(p => p.starred) : [];
+            return conv ? starredPairsOf(conv) : [];
         }
 
         // Get all starred pairs across all conversations
         const results = [];
         this.conversations.forEach(conv => {
-            conv.pairs.filter(p => p.starred).forEach(pair => {
+            starredPairsOf(conv).forEach(pair => {
                 results.push({
                     ...pair,
                     conversationId: conv.id,
@@ -1267,19 +3445,42 @@ class ChatGPTData {
 
     // Pair management
     async deletePair(conversationId, pairId) {
-        const conv = this.getConversation(conversationId);
+        const conv = await this.loadConversationBody(conversationId);
         if (conv) {
             const index = conv.pairs.findIndex(p => p.id === pairId);
             if (index !== -1) {
-                conv.pairs.splice(index, 1);
+                const [removed] = conv.pairs.splice(index, 1);
+
+                // Remember the deleted pair so merging a later re-import doesn't bring it back
+                conv.deletedPairKeys = [...(conv.deletedPairKeys || []), ...this.getPairKeys(removed)];
+
+                // Alternative branches start at the same position, so the next pair takes them over
+                const nextPair = conv.pairs[index];
+                const movedBranches = Boolean(removed.branches && nextPair && !nextPair.branches);
+                if (movedBranches) {
+                    nextPair.branches = removed.branches;
+                    delete removed.branches;
+                }
+
+                // The pair goes to the trash in the conversation's body; the list record keeps
+                // only what the trash list shows, see getTrashItems and restorePair
+                const trashId = `${removed.id}_${Date.now()}`;
+                conv.trashedPairContent = { ...conv.trashedPairContent, [trashId]: removed };
+                conv.trashedPairs = [...(conv.trashedPairs || []), {
+                    trashId,
+                    question: removed.question.content.substring(0, 200),
+                    position: index,
+                    movedBranches,
+                    trashedAt: Date.now() / 1000
+                }];
+
                 // Renumber pairs
-                conv.pairs.forEach((p, idx) => {
-                    p.index = idx + 1;
-                });
+                this.numberPairs(conv.pairs, 1);
 
                 // Update timestamps after deletion
                 this.updateConversationTimestamps(conv);
 
+                this.markDirty(conversationId);
                 await this.saveToStorage();
                 return true;
             }
@@ -1308,11 +3509,12 @@ class ChatGPTData {
     }
 
     async toggleStarPair(conversationId, pairId) {
-        const conv = this.getConversation(conversationId);
+        const conv = await this.loadConversationBody(conversationId);
         if (conv) {
             const pair = conv.pairs.find(p => p.id === pairId);
             if (pair) {
                 pair.starred = !pair.starred;
+                this.markDirty(conversationId);
                 await this.saveToStorage();
                 return pair.starred;
             }
@@ -1320,21 +3522,261 @@ class ChatGPTData {
         return false;
     }
 
+    /**
+     * Switch a fork to another of its branches
+     * The visible tail from the fork onwards is swapped with the chosen branch
+     * @param {string} conversationId - Conversation ID
+     * @param {string} pairId - First pair of the active branch (the one holding `branches`)
+     * @param {number} branchIndex - Branch to show
+     * @returns {boolean} True if the branch was switched
+     */
+    async switchBranch(conversationId, pairId, branchIndex) {
+        const conv = await this.loadConversationBody(conversationId);
+        if (!conv) return false;
+
+        const position = conv.pairs.findIndex(p => p.id === pairId);
+        const head = conv.pairs[position];
+        if (!head || !head.branches) return false;
+
+        const branches = head.branches;
+        if (branchIndex === branches.index || !branches.tails[branchIndex]) {
+            return false;
+        }
+
+        const newTail = branches.tails[branchIndex];
+        const oldTail = conv.pairs.splice(position);
+
+        delete head.branches;
+        branches.tails[branches.index] = oldTail;
+        branches.tails[branchIndex] = null;
+        branches.index = branchIndex;
+        newTail[0].branches = branches;
+
+        conv.pairs.push(...newTail);
+        this.numberPairs(conv.pairs, 1);
+
+        this.markDirty(conversationId);
+        await this.saveToStorage();
+        return true;
+    }
+
+    // =========================================================================
+    // TRASH
+    // =========================================================================
+
+    /**
+     * Deleted conversations and pairs, most recently deleted first
+     * @returns {Array} { type: 'conversation', conversationId, title, trashedAt } and
+     *   { type: 'pair', conversationId, conversationTitle, trashId, question, trashedAt }
+     */
+    getTrashItems() {
+        const items = this.trashedConversations.map(conv => ({
+            type: 'conversation',
+            conversationId: conv.id,
+            title: conv.title,
+            trashedAt: conv.trashedAt
+        }));
+
+        this.conversations.forEach(conv => {
+            (conv.trashedPairs || []).forEach(entry => {
+                items.push({
+                    type: 'pair',
+                    conversationId: conv.id,
+                    conversationTitle: conv.title,
+                    trashId: entry.trashId,
+                    question: entry.question,
+                    trashedAt: entry.trashedAt
+                });
+            });
+        });
+
+        return items.sort((a, b) => b.trashedAt - a.trashedAt);
+    }
+
+    /**
+     * Put a conversation back where it was, in its folder if that still exists
+     */
+    async restoreConversation(id) {
+        const index = this.trashedConversations.findIndex(c => c.id === id);
+        if (index === -1) {
+            return false;
+        }
+
+        const [conv] = this.trashedConversations.splice(index, 1);
+        const position = Math.min(conv.trashedIndex ?? 0, this.conversations.length);
+        delete conv.trashedAt;
+        delete conv.trashedIndex;
+        if (conv.folderId && !this.getFolder(conv.folderId)) {
+            delete conv.folderId;
+        }
+
+        this.conversations.splice(position, 0, conv);
+        this.markDirty(id);
+        await this.saveToStorage();
+        return true;
+    }
+
+    /**
+     * Put a deleted pair back at its position, with its branches, and renumber the pairs
+     */
+    async restorePair(conversationId, trashId) {
+        const conv = await this.loadConversationBody(conversationId);
+        const entry = conv && (conv.trashedPairs || []).find(e => e.trashId === trashId);
+        const { [trashId]: pair, ...trashedPairContent } = (conv && conv.trashedPairContent) || {};
+        if (!entry || !pair) {
+            return false;
+        }
+
+        const position = Math.min(entry.position, conv.pairs.length);
+        const nextPair = conv.pairs[position];
+        if (entry.movedBranches && nextPair && nextPair.branches) {
+            pair.branches = nextPair.branches;
+            delete nextPair.branches;
+        }
+        conv.pairs.splice(position, 0, pair);
+        this.numberPairs(conv.pairs, 1);
+
+        // Merging a re-import may bring the pair back again
+        const deletedPairKeys = [...(conv.deletedPairKeys || [])];
+        this.getPairKeys(pair).forEach(key => {
+            const keyIndex = deletedPairKeys.indexOf(key);
+            if (keyIndex !== -1) deletedPairKeys.splice(keyIndex, 1);
+        });
+        conv.deletedPairKeys = deletedPairKeys;
+        conv.trashedPairs = conv.trashedPairs.filter(e => e !== entry);
+        conv.trashedPairContent = trashedPairContent;
+
+        this.markDirty(conversationId);
+        await this.saveToStorage();
+        this.releaseBodies(this.currentConversationId);
+        return true;
+    }
+
+    /**
+     * Delete trash items for good: conversations with their body and original
+     * @param {number} maxAgeDays - Only items deleted longer ago than this; 0 empties the trash
+     * @returns {Promise<number>} Number of items purged
+     */
+    async purgeTrash(maxAgeDays = TRASH_RETENTION_DAYS) {
+        const cutoff = Date.now() / 1000 - maxAgeDays * 24 * 60 * 60;
+        const expired = this.trashedConversations.filter(conv => conv.trashedAt <= cutoff);
+        let purged = expired.length;
+
+        this.trashedConversations = this.trashedConversations.filter(conv => conv.trashedAt > cutoff);
+        expired.forEach(conv => this.markDeleted(conv.id));
+
+        // Purged pairs are removed from the bodies too
+        for (const conv of this.conversations) {
+            const kept = (conv.trashedPairs || []).filter(entry => entry.trashedAt > cutoff);
+            if (conv.trashedPairs && kept.length < conv.trashedPairs.length) {
+                await this.loadConversationBody(conv.id);
+                purged += conv.trashedPairs.length - kept.length;
+                conv.trashedPairs = kept;
+                const content = conv.trashedPairContent || {};
+                conv.trashedPairContent = Object.fromEntries(kept.map(entry => [entry.trashId, content[entry.trashId]]));
+                this.markDirty(conv.id);
+            }
+        }
+
+        if (purged > 0) {
+            await this.saveToStorage();
+            this.releaseBodies(this.currentConversationId);
+            for (const conv of expired) {
+                await this.deleteSource(conv.id);
+            }
+            console.log(`Purged ${purged} item(s) from the trash`);
+        }
+        return purged;
+    }
+
+    // =========================================================================
+    // IMPORT REPORT
+    // =========================================================================
+
+    /**
+     * Start collecting an import report
+     * Parsers record detected formats, failed conversations, skipped messages and
+     * artifact errors into it until finishImportReport is called
+     */
+    startImportReport() {
+        this.importReport = {
+            formats: {},         // Format id -> number of conversations
+            failed: [],          // { conversationId, title, reason }
+            ambiguous: [],       // { conversationId, title, format, candidates } when formats scored close
+            skippedMessages: [], // { conversationId, title, empty, system } per conversation
+            artifactErrors: [],  // { conversationId, title, name, error }
+            warnings: []
+        };
+        return this.importReport;
+    }
+
+    finishImportReport() {
+        const report = this.importReport;
+        this.importReport = null;
+        return report;
+    }
+
+    /**
+     * Add a report collected elsewhere (the import worker) to the active one
+     */
+    mergeImportReport(report) {
+        if (!this.importReport || !report) return;
+
+        Object.entries(report.formats).forEach(([format, count]) => {
+            this.importReport.formats[format] = (this.importReport.formats[format] || 0) + count;
+        });
+        this.importReport.failed.push(...report.failed);
+        this.importReport.ambiguous.push(...report.ambiguous);
+        this.importReport.skippedMessages.push(...report.skippedMessages);
+        this.importReport.artifactErrors.push(...report.artifactErrors);
+        this.importReport.warnings.push(...report.warnings);
+    }
+
+    /**
+     * Count a message skipped while parsing the current conversation
+     * @param {string} reason - 'empty', 'system' or 'noQuestion' (an answer before the first question)
+     */
+    reportSkippedMessage(reason) {
+        const current = this.reportConversation;
+        if (!this.importReport || !current) return;
+
+        if (!current.skipped) {
+            current.skipped = { conversationId: current.id, title: current.title, empty: 0, system: 0, noQuestion: 0 };
+            this.importReport.skippedMessages.push(current.skipped);
+        }
+        current.skipped[reason]++;
+    }
+
+    reportArtifactError(name, error) {
+        const current = this.reportConversation;
+        if (!this.importReport) return;
+
+        this.importReport.artifactErrors.push({
+            conversationId: current ? current.id : null,
+            title: current ? current.title : null,
+            name: name,
+            error: error
+        });
+    }
+
     // =========================================================================
     // FOLDER MANAGEMENT METHODS
     // =========================================================================
 
     /**
      * Create a new folder
+     * @param {Object} details - Extra properties kept on the folder, e.g. { project } for Claude projects
      */
-    async createFolder(name, color) {
+    async createFolder(name, color, details = {}) {
         const folder = {
+            ...details,
             id: `folder_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
             name: name,
             color: color || '#3b82f6',
             order: this.folders.length
         };
         this.folders.push(folder);
+        this.foldersChanged = true;
         await this.saveToStorage();
         return folder;
     }
@@ -1346,6 +3788,7 @@ class ChatGPTData {
         const folder = this.folders.find(f => f.id === folderId);
         if (folder) {
             Object.assign(folder, updates);
+            this.foldersChanged = true;
             await this.saveToStorage();
             return true;
         }
@@ -1365,6 +3808,7 @@ class ChatGPTData {
             this.conversations.forEach(conv => {
                 if (conv.folderId === folderId) {
                     conv.folderId = null;
+                    this.markDirty(conv.id);
                 }
             });
 
@@ -1373,6 +3817,7 @@ class ChatGPTData {
                 f.order = idx;
             });
 
+            this.foldersChanged = true;
             await this.saveToStorage();
             return true;
         }
@@ -1392,6 +3837,7 @@ class ChatGPTData {
             }
         });
         this.folders = reorderedFolders;
+        this.foldersChanged = true;
         await this.saveToStorage();
     }
 
@@ -1420,22 +3866,134 @@ class ChatGPTData {
         const conv = this.getConversation(conversationId);
         if (conv) {
             conv.folderId = folderId; // null means "All Conversations" (uncategorized)
+            this.markDirty(conversationId);
             await this.saveToStorage();
             return true;
         }
         return false;
     }
 
+    /**
+     * Create a folder for each Claude project and move its conversations there
+     * Folders are matched by project uuid, so importing the same export again reuses them.
+     * Stored conversations are only moved when they are not in a folder yet
+     * @param {Array} projects - Projects from parseClaudeProjects
+     * @param {Array} conversations - Conversations being imported
+     * @returns {Promise<number>} Number of folders created
+     */
+    async importClaudeProjects(projects, conversations) {
+        const folderIds = {};
+        const projectOf = {};
+        let created = 0;
+
+        // The folder keeps only the project's name, its instructions and docs are stored apart
+        await this.saveProjectDetails(projects);
+
+        for (const project of projects) {
+            let folder = this.folders.find(f => f.project && f.project.uuid === project.uuid);
+            if (folder) {
+                folder.project = { uuid: project.uuid, name: project.name };
+                this.foldersChanged = true;
+            } else {
+                folder = await this.createFolder(project.name, PROJECT_FOLDER_COLOR, { project: { uuid: project.uuid, name: project.name } });
+                created++;
+            }
+            folderIds[project.uuid] = folder.id;
+            project.conversationIds.forEach(id => { projectOf[id] = project.uuid; });
+        }
+
+        [...conversations, ...this.conversations].forEach(conv => {
+            const projectId = (conv.metadata && conv.metadata.projectId) || projectOf[conv.id];
+            if (!conv.folderId && folderIds[projectId]) {
+                conv.folderId = folderIds[projectId];
+                this.markDirty(conv.id);
+            }
+        });
+
+        await this.saveToStorage();
+        return created;
+    }
+
+    /**
+     * Claude project a conversation belongs to, from its link or its folder
+     * @returns {Promise<Object|null>} Project from parseClaudeProjects
+     */
+    async getConversationProject(conv) {
+        const projectId = conv.metadata && conv.metadata.projectId;
+        const folder = (projectId && this.folders.find(f => f.project && f.project.uuid === projectId)) ||
+            (conv.folderId && this.getFolder(conv.folderId));
+        return folder && folder.project ? this.getProjectDetails(folder.project.uuid) : null;
+    }
+
+    /**
+     * Store the instructions and docs of Claude projects, one record per project, so the
+     * folders that are saved on every folder change stay small
+     * @param {Array} projects - Projects from parseClaudeProjects
+     */
+    async saveProjectDetails(projects) {
+        for (const { conversationIds, ...project } of projects) {
+            if (this.storageMode === 'indexeddb') {
+                try {
+                    await this.idbStorage.saveSetting(`project_${project.uuid}`, project);
+                    continue;
+                } catch (error) {
+                    console.error('IndexedDB project save failed, trying localStorage:', error);
+                }
+            }
+
+            try {
+                localStorage.setItem(`${this.storageKey}_project_${project.uuid}`, JSON.stringify(project));
+            } catch (error) {
+                console.error('localStorage project save failed:', error);
+            }
+        }
+    }
+
+    /**
+     * @returns {Promise<Object|null>} Stored project from saveProjectDetails
+     */
+    async getProjectDetails(uuid) {
+        if (this.storageMode === 'indexeddb') {
+            try {
+                const project = await this.idbStorage.loadSetting(`project_${uuid}`);
+                if (project) {
+                    return project;
+                }
+            } catch (error) {
+                console.error('Error loading project:', uuid, error);
+            }
+        }
+
+        const stored = localStorage.getItem(`${this.storageKey}_project_${uuid}`);
+        return stored ? JSON.parse(stored) : null;
+    }
+
     // Export methods
-    exportProject() {
+    /**
+     * A conversation as it is exported, with its pairs read if they are not loaded
+     * and without the list summary and the trash
+     */
+    async getExportConversation(conv) {
+        const { starredPairs, messageTimes, trashedPairs, trashedPairContent, ...fields } = conv;
+        const body = !conv.pairs && this.idbStorage && await this.idbStorage.loadBody(conv.id);
+        const pairs = conv.pairs || (body && body.pairs) || [];
+        return { ...fields, pairs };
+    }
+
+    async exportProject() {
+        const conversations = [];
+        for (const conv of this.conversations) {
+            conversations.push(await this.getExportConversation(conv));
+        }
+
         return {
             version: '1.0',
             exportDate: new Date().toISOString(),
-            conversations: this.conversations,
+            conversations: conversations,
             folders: this.folders,
             metadata: {
-                totalConversations: this.conversations.length,
-                totalPairs: this.conversations.reduce((sum, conv) => sum + conv.pairs.length, 0)
+                totalConversations: conversations.length,
+                totalPairs: conversations.reduce((sum, conv) => sum + conv.pairs.length, 0)
             }
         };
     }
@@ -1446,6 +4004,7 @@ class ChatGPTData {
             // Import folders if available
             if (projectData.folders && projectData.folders.length > 0) {
                 this.folders = projectData.folders;
+                this.foldersChanged = true;
             }
             return true;
         }
@@ -1453,5 +4012,72 @@ class ChatGPTData {
     }
 }
 
+// Built-in formats. Generic shapes (simple message arrays) score lower than
+// platform exports, so a more specific format always wins
+ChatGPTData.registerFormat({
+    id: FORMAT_TYPES.APP_EXPORT,
+    priority: 100,
+    detect: (conv, data) => data.isAppExportFormat(conv),
+    parse: (conv, data) => data.parseAppExport(conv)
+});
+
+ChatGPTData.registerFormat({
+    id: FORMAT_TYPES.CLAUDE,
+    priority: 90,
+    detect: (conv, data) => data.isClaudeFormat(conv),
+    parse: (conv, data) => data.parseClaudeFormat(conv)
+});
+
+ChatGPTData.registerFormat({
+    id: FORMAT_TYPES.DEEPSEEK,
+    priority: 80,
+    detect: (conv, data) => data.isDeepSeekFormat(conv),
+    parse: (conv, data) => data.parseDeepSeekFormat(conv)
+});
+
+ChatGPTData.registerFormat({
+    id: FORMAT_TYPES.CHATGPT_MAPPING,
+    priority: 70,
+    // DeepSeek also has a mapping; its timestamps make ChatGPT the less likely match
+    detect: (conv, data) => data.isChatGPTMappingFormat(conv) ? (conv.inserted_at ? 0.5 : 1) : 0,
+    parse: (conv, data) => data.parseChatGPTMappingFormat(conv)
+});
+
+ChatGPTData.registerFormat({
+    id: FORMAT_TYPES.OPEN_WEBUI,
+    priority: 65,
+    detect: (conv, data) => data.isOpenWebUIFormat(conv),
+    parse: (conv, data) => data.parseOpenWebUIFormat(conv)
+});
+
+ChatGPTData.registerFormat({
+    id: FORMAT_TYPES.LIBRECHAT,
+    priority: 62,
+    detect: (conv, data) => data.isLibreChatFormat(conv),
+    parse: (conv, data) => data.parseLibreChatFormat(conv)
+});
+
+ChatGPTData.registerFormat({
+    id: FORMAT_TYPES.GEMINI,
+    priority: 60,
+    detect: (conv, data) => data.isGeminiFormat(conv),
+    parse: (conv, data) => data.parseGeminiFormat(conv),
+    group: (records, data) => data.groupGeminiActivity(records)
+});
+
+ChatGPTData.registerFormat({
+    id: FORMAT_TYPES.SIMPLE,
+    priority: 20,
+    detect: (conv, data) => data.isSimpleFormat(conv) ? 0.6 : 0,
+    parse: (conv, data) => data.parseSimpleFormat(conv)
+});
+
+ChatGPTData.registerFormat({
+    id: FORMAT_TYPES.WRAPPED_SIMPLE,
+    priority: 10,
+    detect: (conv, data) => data.isWrappedSimpleFormat(conv) ? 0.5 : 0,
+    parse: (conv, data) => data.parseWrappedSimpleFormat(conv)
+});
+
 // Create global instance
 const chatData = new ChatGPTData();
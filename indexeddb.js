@@ -1,79 +1,329 @@
 // IndexedDB Storage Module for ChatGPT Parser
 // Handles large datasets that exceed localStorage limits
 
+// Records written per transaction by writeConversations
+const WRITE_BATCH_SIZE = 200;
+
+/**
+ * Reshape every record of a store inside an upgrade transaction
+ * transform(record, transaction) returns the new record, or undefined to keep it as it is.
+ * A record that cannot be migrated aborts the upgrade, which rolls back every step
+ */
+function migrateRecords(transaction, storeName, transform) {
+    const request = transaction.objectStore(storeName).openCursor();
+
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+
+        try {
+            const updated = transform(cursor.value, transaction);
+            if (updated) {
+                cursor.update(updated);
+            }
+            cursor.continue();
+        } catch (error) {
+            transaction.migrationError = new Error(`${storeName} record ${cursor.primaryKey}: ${error.message}`);
+            transaction.abort();
+        }
+    };
+}
+
+/**
+ * Schema and data migrations, in version order
+ * Each step runs once, in the upgrade transaction of databases older than its version.
+ * Add new steps at the end; the database version is the version of the last step
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Create conversation and settings stores',
+        upgrade: (db) => {
+            const conversationStore = db.createObjectStore('conversations', { keyPath: 'id' });
+            conversationStore.createIndex('updateTime', 'updateTime', { unique: false });
+            conversationStore.createIndex('starred', 'starred', { unique: false });
+
+            // Preferences (current tab, current conversation, etc.)
+            db.createObjectStore('settings', { keyPath: 'key' });
+        }
+    },
+    {
+        version: 2,
+        description: 'Add a store for images and files imported from export ZIPs',
+        upgrade: (db) => {
+            const assetStore = db.createObjectStore('assets', { keyPath: 'id' });
+            assetStore.createIndex('fileId', 'fileId', { unique: false });
+        }
+    },
+    {
+        version: 3,
+        description: 'Add a store for the original (compressed) conversation JSON',
+        upgrade: (db) => {
+            db.createObjectStore('sources', { keyPath: 'id' });
+        }
+    },
+    {
+        version: 4,
+        description: 'Add a store for conversation bodies',
+        upgrade: (db) => {
+            db.createObjectStore('bodies', { keyPath: 'id' });
+        }
+    },
+    {
+        version: 5,
+        description: 'Move pairs out of conversation records into the bodies store',
+        upgrade: (db, transaction) => {
+            migrateRecords(transaction, 'conversations', (record) => {
+                if (!record.pairs) return undefined;
+
+                const { pairs, ...listRecord } = record;
+                transaction.objectStore('bodies').put({ id: record.id, pairs });
+                return listRecord;
+            });
+        }
+    },
+    {
+        version: 6,
+        description: 'Add a store for restore points',
+        upgrade: (db) => {
+            const snapshotStore = db.createObjectStore('snapshots', { keyPath: 'id' });
+            snapshotStore.createIndex('createdAt', 'createdAt', { unique: false });
+        }
+    }
+];
+
 class IndexedDBStorage {
-    constructor(dbName = 'ChatGPTParserDB', version = 1) {
+    constructor(dbName = 'ChatGPTParserDB', version = MIGRATIONS[MIGRATIONS.length - 1].version) {
         this.dbName = dbName;
         this.version = version;
         this.db = null;
+        this.opening = null;
+
+        // Set when the stored database could not be migrated; it is not retried until reload
+        this.migrationError = null;
+
+        // Called with { state, fromVersion, toVersion, steps, error?, backupName? } while migrating,
+        // state is 'running', 'blocked' (another tab has the database open), 'done' or 'failed'
+        this.onMigration = null;
     }
 
-    // Initialize IndexedDB
+    // Initialize IndexedDB, running the migrations the stored database has not had yet
     async init() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.dbName, this.version);
+        if (this.migrationError) {
+            throw this.migrationError;
+        }
+        if (!this.opening) {
+            this.opening = this.open().finally(() => {
+                this.opening = null;
+            });
+        }
+        return this.opening;
+    }
 
-            request.onerror = () => {
-                console.error('IndexedDB error:', request.error);
-                reject(request.error);
-            };
+    async open() {
+        let fromVersion = 0;
+        let upgrade = null;
+        const steps = (from) => MIGRATIONS.filter(step => step.version > from && step.version <= this.version);
+        const notify = (status) => {
+            if (this.onMigration) {
+                this.onMigration({ fromVersion, toVersion: this.version, steps: steps(fromVersion).map(step => step.description), ...status });
+            }
+        };
 
-            request.onsuccess = () => {
-                this.db = request.result;
-                console.log('IndexedDB initialized successfully');
-                resolve(this.db);
-            };
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.version);
+
+                request.onerror = () => reject((upgrade && upgrade.migrationError) || request.error);
+                request.onblocked = () => notify({ state: 'blocked' });
+                request.onsuccess = () => resolve(request.result);
+
+                request.onupgradeneeded = (event) => {
+                    fromVersion = event.oldVersion;
+                    upgrade = request.transaction;
+                    if (fromVersion > 0) {
+                        notify({ state: 'running' });
+                    }
+
+                    for (const step of steps(fromVersion)) {
+                        try {
+                            step.upgrade(request.result, upgrade);
+                        } catch (error) {
+                            upgrade.migrationError = new Error(`${step.description}: ${error.message}`);
+                            upgrade.abort();
+                            return;
+                        }
+                    }
+                };
+            });
+        } catch (error) {
+            console.error('IndexedDB error:', error);
+            if (upgrade && fromVersion > 0) {
+                // The upgrade was rolled back, so the stored data is still at fromVersion
+                const migrationError = new Error(`Updating stored data from version ${fromVersion} to ${this.version} failed: ${error.message}`);
+                try {
+                    migrationError.backupName = await this.backupDatabase();
+                } catch (backupError) {
+                    console.error('IndexedDB backup failed:', backupError);
+                }
+                this.migrationError = migrationError;
+                notify({ state: 'failed', error: migrationError, backupName: migrationError.backupName });
+                throw migrationError;
+            }
+            throw error;
+        }
+
+        // Let a newer version of the app in another tab upgrade the database
+        this.db.onversionchange = () => {
+            this.db.close();
+            this.db = null;
+        };
 
-            // Create object stores on first run or version upgrade
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
+        if (upgrade && fromVersion > 0) {
+            console.log(`IndexedDB migrated from version ${fromVersion} to ${this.version}`);
+            notify({ state: 'done' });
+        }
+        console.log('IndexedDB initialized successfully');
+        return this.db;
+    }
+
+    /**
+     * Copy every store of the database, as currently stored, into a separate backup database
+     * Records are copied WRITE_BATCH_SIZE at a time
+     * @returns {Promise<string>} Name of the backup database
+     */
+    async backupDatabase() {
+        const openDatabase = (name, version, onUpgrade) => new Promise((resolve, reject) => {
+            const request = version ? indexedDB.open(name, version) : indexedDB.open(name);
+            request.onupgradeneeded = () => onUpgrade && onUpgrade(request.result);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
 
-                // Create conversations store
-                if (!db.objectStoreNames.contains('conversations')) {
-                    const conversationStore = db.createObjectStore('conversations', { keyPath: 'id' });
-                    conversationStore.createIndex('updateTime', 'updateTime', { unique: false });
-                    conversationStore.createIndex('starred', 'starred', { unique: false });
+        const source = await openDatabase(this.dbName);
+        const backupName = `${this.dbName}_backup_v${source.version}`;
+        const storeNames = [...source.objectStoreNames];
+        const keyPaths = new Map(storeNames.map(name => [name, source.transaction(name, 'readonly').objectStore(name).keyPath]));
+
+        // A backup of the same version holds the same data, it is replaced
+        await new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(backupName);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+        const backup = await openDatabase(backupName, 1, (db) => {
+            storeNames.forEach(name => db.createObjectStore(name, { keyPath: keyPaths.get(name) }));
+        });
+
+        try {
+            for (const name of storeNames) {
+                let lastKey = null;
+                while (true) {
+                    const records = await new Promise((resolve, reject) => {
+                        const range = lastKey === null ? null : IDBKeyRange.lowerBound(lastKey, true);
+                        const request = source.transaction(name, 'readonly').objectStore(name).openCursor(range);
+                        const batch = [];
+                        request.onsuccess = () => {
+                            const cursor = request.result;
+                            if (cursor && batch.length < WRITE_BATCH_SIZE) {
+                                batch.push(cursor.value);
+                                lastKey = cursor.primaryKey;
+                                cursor.continue();
+                            } else {
+                                resolve(batch);
+                            }
+                        };
+                        request.onerror = () => reject(request.error);
+                    });
+                    if (records.length === 0) break;
+
+                    await new Promise((resolve, reject) => {
+                        const transaction = backup.transaction(name, 'readwrite');
+                        records.forEach(record => transaction.objectStore(name).put(record));
+                        transaction.oncomplete = () => resolve();
+                        transaction.onerror = () => reject(transaction.error);
+                    });
                 }
+            }
+        } finally {
+            source.close();
+            backup.close();
+        }
+
+        console.log(`IndexedDB backed up to ${backupName}`);
+        return backupName;
+    }
+
+    // Put changed conversations and delete removed ones, without touching the rest
+    // The pairs and the pairs in the trash go to the bodies store; conversations without
+    // loaded pairs keep their stored body.
+    // Large changes (imports) are split into transactions of WRITE_BATCH_SIZE records
+    async writeConversations(conversations, deletedIds = []) {
+        if (!this.db) await this.init();
 
-                // Create settings store for preferences (current tab, current conversation, etc.)
-                if (!db.objectStoreNames.contains('settings')) {
-                    db.createObjectStore('settings', { keyPath: 'key' });
+        const operations = [
+            ...conversations.map(conv => (conversationStore, bodyStore) => {
+                const { pairs, trashedPairContent, ...record } = conv;
+                conversationStore.put(record);
+                if (pairs) {
+                    bodyStore.put({ id: conv.id, pairs, trashedPairContent });
                 }
-            };
-        });
+            }),
+            ...deletedIds.map(id => (conversationStore, bodyStore) => {
+                conversationStore.delete(id);
+                bodyStore.delete(id);
+            })
+        ];
+
+        for (let start = 0; start < operations.length; start += WRITE_BATCH_SIZE) {
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction(['conversations', 'bodies'], 'readwrite');
+                const conversationStore = transaction.objectStore('conversations');
+                const bodyStore = transaction.objectStore('bodies');
+
+                operations.slice(start, start + WRITE_BATCH_SIZE).forEach(operation => operation(conversationStore, bodyStore));
+
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        }
     }
 
-    // Save all conversations
-    async saveConversations(conversations) {
+    // Load the body of a conversation ({ id, pairs, trashedPairContent }), or null if it has none
+    async loadBody(id) {
         if (!this.db) await this.init();
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['conversations'], 'readwrite');
-            const store = transaction.objectStore('conversations');
+            const transaction = this.db.transaction(['bodies'], 'readonly');
+            const request = transaction.objectStore('bodies').get(id);
 
-            // Clear existing conversations
-            const clearRequest = store.clear();
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
 
-            clearRequest.onsuccess = () => {
-                // Add all conversations
-                conversations.forEach(conv => {
-                    store.put(conv);
-                });
-            };
+    // Visit every stored body ({ id, pairs }) one at a time, so memory use stays flat
+    async forEachBody(callback) {
+        if (!this.db) await this.init();
 
-            transaction.oncomplete = () => {
-                console.log(`Saved ${conversations.length} conversations to IndexedDB`);
-                resolve();
-            };
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['bodies'], 'readonly');
+            const request = transaction.objectStore('bodies').openCursor();
 
-            transaction.onerror = () => {
-                console.error('Error saving to IndexedDB:', transaction.error);
-                reject(transaction.error);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    callback(cursor.value);
+                    cursor.continue();
+                }
             };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
         });
     }
 
-    // Load all conversations
+    // Load all conversation list records (without pairs)
     async loadConversations() {
         if (!this.db) await this.init();
 
@@ -126,15 +376,142 @@ class IndexedDBStorage {
         });
     }
 
-    // Clear all data
+    // Save imported assets (images, files); existing assets with the same id are replaced
+    async saveAssets(assets) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['assets'], 'readwrite');
+            const store = transaction.objectStore('assets');
+
+            assets.forEach(asset => {
+                store.put(asset);
+            });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Load an asset by its file id (e.g. "file-AbC123")
+    async loadAsset(fileId) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['assets'], 'readonly');
+            const index = transaction.objectStore('assets').index('fileId');
+            const request = index.get(fileId);
+
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Save original conversation sources; a re-import replaces the source of the same conversation
+    async saveSources(sources) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['sources'], 'readwrite');
+            const store = transaction.objectStore('sources');
+
+            sources.forEach(source => {
+                store.put(source);
+            });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Load the original source of a conversation
+    async loadSource(id) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['sources'], 'readonly');
+            const request = transaction.objectStore('sources').get(id);
+
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Delete the original source of a conversation
+    async deleteSource(id) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['sources'], 'readwrite');
+            transaction.objectStore('sources').delete(id);
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Save a restore point ({ id, reason, createdAt, conversationCount, size, compressed, data })
+    async saveSnapshot(snapshot) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['snapshots'], 'readwrite');
+            transaction.objectStore('snapshots').put(snapshot);
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Load all restore points, oldest first
+    async loadSnapshots() {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['snapshots'], 'readonly');
+            const request = transaction.objectStore('snapshots').index('createdAt').getAll();
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async loadSnapshot(id) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['snapshots'], 'readonly');
+            const request = transaction.objectStore('snapshots').get(id);
+
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deleteSnapshot(id) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['snapshots'], 'readwrite');
+            transaction.objectStore('snapshots').delete(id);
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Clear all data (restore points are kept, so a clear can be undone)
     async clear() {
         if (!this.db) await this.init();
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['conversations', 'settings'], 'readwrite');
+            const transaction = this.db.transaction(['conversations', 'bodies', 'settings', 'assets', 'sources'], 'readwrite');
 
             transaction.objectStore('conversations').clear();
+            transaction.objectStore('bodies').clear();
             transaction.objectStore('settings').clear();
+            transaction.objectStore('assets').clear();
+            transaction.objectStore('sources').clear();
 
             transaction.oncomplete = () => {
                 console.log('IndexedDB cleared');
@@ -147,7 +524,8 @@ class IndexedDBStorage {
 
     // Check if IndexedDB is available
     static isSupported() {
-        return 'indexedDB' in window && window.indexedDB !== null;
+        // Also used from the import worker, where there is no window
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
     }
 
     // Estimate storage usage (approximate)
@@ -0,0 +1,46 @@
+/**
+ * ApiLogImporter - Imports API request logs and agent sessions saved as JSON Lines (.jsonl)
+ * The log formats in js/parsers/ do the parsing in the import worker;
+ * this asks how log lines are grouped into conversations and remembers it
+ */
+
+const GROUP_KEY_STORAGE_KEY = 'api_log_group_key';
+
+export class ApiLogImporter {
+    constructor(data) {
+        this.data = data;
+    }
+
+    static isLogFile(name) {
+        return /\.(jsonl|ndjson)$/i.test(name);
+    }
+
+    /**
+     * Ask for the grouping key and store it in data.importOptions
+     * @returns {Promise<boolean>} false if cancelled
+     */
+    askOptions() {
+        const dialog = document.getElementById('apiLogDialog');
+        const keyInput = document.getElementById('logGroupKeyInput');
+
+        keyInput.value = localStorage.getItem(GROUP_KEY_STORAGE_KEY) || '';
+        dialog.style.display = 'flex';
+        keyInput.focus();
+
+        return new Promise(resolve => {
+            const close = (confirmed) => {
+                dialog.style.display = 'none';
+                resolve(confirmed);
+            };
+
+            document.getElementById('cancelApiLog').onclick = () => close(false);
+
+            document.getElementById('confirmApiLog').onclick = () => {
+                const groupKey = keyInput.value.trim();
+                localStorage.setItem(GROUP_KEY_STORAGE_KEY, groupKey);
+                this.data.importOptions = { ...this.data.importOptions, logGroupKey: groupKey };
+                close(true);
+            };
+        });
+    }
+}
@@ -2,6 +2,9 @@
  * ConversationList - Handles conversation list rendering and context menu attachment
  */
 
+import { HtmlUtils } from '../utils/HtmlUtils.js';
+import { DateUtils } from '../utils/DateUtils.js';
+
 export class ConversationList {
     constructor(eventBus, data, contextMenu) {
         this.eventBus = eventBus;
@@ -9,16 +12,18 @@ export class ConversationList {
         this.contextMenu = contextMenu;
     }
 
-    render(allConversations, starredConversations, allStarredPairs) {
+    render(allConversations, starredConversations, allStarredPairs, trashItems = []) {
         // Update counts
         document.querySelector('#allConversationsFolder .folder-count').textContent = `(${allConversations.length})`;
         document.querySelector('#starredConversationsFolder .folder-count').textContent = `(${starredConversations.length})`;
         document.querySelector('#starredPairsFolder .folder-count').textContent = `(${allStarredPairs.length})`;
+        document.querySelector('#trashFolder .folder-count').textContent = `(${trashItems.length})`;
 
         // Render folders
         this.renderConversationFolder(document.getElementById('allConversationsContent'), allConversations);
         this.renderConversationFolder(document.getElementById('starredConversationsContent'), starredConversations);
         this.renderStarredPairsFolder(document.getElementById('starredPairsContent'), allStarredPairs);
+        this.renderTrashFolder(document.getElementById('trashContent'), trashItems);
     }
 
     renderConversationFolder(container, conversations) {
@@ -59,6 +64,58 @@ export class ConversationList {
         });
     }
 
+    /**
+     * Deleted conversations and pairs, with a restore button each
+     * @param {Array} trashItems - From ChatGPTData.getTrashItems
+     */
+    renderTrashFolder(container, trashItems) {
+        container.innerHTML = '';
+
+        if (trashItems.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>Trash is empty</p>
+                    <small>Deleted conversations and pairs are kept here for ${TRASH_RETENTION_DAYS} days</small>
+                </div>
+            `;
+            return;
+        }
+
+        const emptyBtn = document.createElement('button');
+        emptyBtn.className = 'trash-empty-btn';
+        emptyBtn.textContent = 'Empty Trash';
+        emptyBtn.addEventListener('click', () => {
+            this.eventBus.emit('trash:empty');
+        });
+        container.appendChild(emptyBtn);
+
+        trashItems.forEach(entry => {
+            container.appendChild(this.createTrashItem(entry));
+        });
+    }
+
+    createTrashItem(entry) {
+        const item = document.createElement('div');
+        item.className = 'conversation-item trash-item';
+
+        const title = entry.type === 'conversation' ? entry.title : HtmlUtils.truncate(entry.question, 50);
+        const source = entry.type === 'pair' ? ` • from "${entry.conversationTitle}"` : '';
+        item.innerHTML = `
+            <span class="trash-item-icon">${entry.type === 'conversation' ? '💬' : '💭'}</span>
+            <div class="conversation-item-title" title="${HtmlUtils.escapeHtml(title)}">
+                ${HtmlUtils.escapeHtml(title)}
+                <small class="trash-item-meta">${HtmlUtils.escapeHtml(DateUtils.formatDate(DateUtils.timestampToDate(entry.trashedAt)) + source)}</small>
+            </div>
+            <button class="trash-restore-btn" title="Restore">Restore</button>
+        `;
+
+        item.querySelector('.trash-restore-btn').addEventListener('click', () => {
+            this.eventBus.emit('trash:restore', entry);
+        });
+
+        return item;
+    }
+
     createConversationItem(conv) {
         const item = document.createElement('div');
         item.className = 'conversation-item';
@@ -75,6 +132,7 @@ export class ConversationList {
             <div class="conversation-item-title" title="${conv.title}">
                 ${conv.title}
             </div>
+            ${this.createDirectoryTag(conv)}
             <span class="star-icon ${conv.starred ? 'starred' : ''}" data-id="${conv.id}">
                 ${conv.starred ? '⭐' : '☆'}
             </span>
@@ -100,6 +158,19 @@ export class ConversationList {
         return item;
     }
 
+    /**
+     * Tag with the working directory of coding-agent sessions
+     */
+    createDirectoryTag(conv) {
+        const directory = conv.metadata && conv.metadata.workingDirectory;
+        if (!directory) {
+            return '';
+        }
+
+        const name = directory.split(/[\\/]/).filter(Boolean).pop() || directory;
+        return `<span class="conversation-item-tag" title="${HtmlUtils.escapeHtml(directory)}">${HtmlUtils.escapeHtml(name)}</span>`;
+    }
+
     createStarredPairItem(pair) {
         const item = document.createElement('div');
         item.className = 'conversation-item';
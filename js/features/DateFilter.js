@@ -124,6 +124,11 @@ export class DateFilter {
     }
 
     hasMessagesInRange(conv, startTimestamp, endTimestamp) {
+        // Conversations without loaded pairs have their message times in the list summary
+        if (!conv.pairs) {
+            return (conv.messageTimes || []).some(time => time >= startTimestamp && time <= endTimestamp);
+        }
+
         return conv.pairs.some(pair => {
             // Check question timestamp
             if (pair.question.timestamp >= startTimestamp && pair.question.timestamp <= endTimestamp) {
@@ -0,0 +1,118 @@
+/**
+ * ImportPipeline - Parses JSON exports in a Web Worker, with progress and cancel
+ * Falls back to parsing on the main thread when a worker can't be started
+ */
+
+export class ImportPipeline {
+    constructor(data) {
+        this.data = data;
+        this.cancelRun = null; // Cancels the running worker, if any
+    }
+
+    /**
+     * Parse a JSON export
+     * @param {Blob} file - JSON file, or a JSON entry read from a ZIP
+     * @param {Function} onProgress - Called with { bytesRead, totalBytes, conversations, countedAtEnd }
+     * @param {Object} options - { lines: true } for JSON Lines files (one record per line)
+     * @returns {Promise<{conversations: Array, warnings: Array, report: Object|null}>}
+     *   report is the worker's import report (see ChatGPTData.startImportReport), null when
+     *   parsed on the main thread. Rejects with an AbortError when cancelled
+     */
+    parseJSON(file, onProgress = () => {}, options = {}) {
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker(new URL('../workers/importWorker.js', import.meta.url));
+            } catch (error) {
+                console.warn('Import worker unavailable, parsing on main thread:', error);
+                this.parseOnMainThread(file, options).then(resolve, reject);
+                return;
+            }
+
+            const conversations = [];
+            let started = false;
+
+            const finish = () => {
+                worker.terminate();
+                this.cancelRun = null;
+            };
+
+            this.cancelRun = () => {
+                finish();
+                const error = new Error('Import cancelled');
+                error.name = 'AbortError';
+                reject(error);
+            };
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+                started = true;
+
+                if (message.type === 'progress') {
+                    onProgress({
+                        bytesRead: message.bytesRead,
+                        totalBytes: message.totalBytes,
+                        conversations: conversations.length,
+                        countedAtEnd: message.countedAtEnd
+                    });
+                } else if (message.type === 'batch') {
+                    conversations.push(...message.conversations);
+                } else if (message.type === 'done') {
+                    finish();
+                    resolve({ conversations, warnings: message.warnings, report: message.report });
+                } else if (message.type === 'error') {
+                    finish();
+                    reject(new Error(message.message));
+                }
+            };
+
+            worker.onerror = (event) => {
+                event.preventDefault();
+                finish();
+
+                // The worker script failed to load (e.g. opened from file://)
+                if (!started) {
+                    console.warn('Import worker failed to start, parsing on main thread:', event.message);
+                    this.parseOnMainThread(file, options).then(resolve, reject);
+                } else {
+                    reject(new Error(event.message || 'Import worker failed'));
+                }
+            };
+
+            worker.postMessage({
+                type: 'start',
+                file,
+                lines: Boolean(options.lines),
+                importOptions: this.data.importOptions,
+                parserScripts: this.getParserScripts()
+            });
+        });
+    }
+
+    /**
+     * URLs of the format parsers loaded on the page (js/parsers/), so the worker can load them too
+     */
+    getParserScripts() {
+        return Array.from(document.querySelectorAll('script[src*="js/parsers/"]')).map(script => script.src);
+    }
+
+    /**
+     * Cancel the running import
+     */
+    cancel() {
+        if (this.cancelRun) {
+            this.cancelRun();
+        }
+    }
+
+    async parseOnMainThread(file, options = {}) {
+        if (options.lines) {
+            const { records, warnings } = this.data.parseJSONLines(await file.text());
+            const result = this.data.parseJSONExport(records);
+            return { conversations: result.conversations, warnings: [...warnings, ...result.warnings], report: null };
+        }
+
+        const jsonData = JSON.parse(await file.text());
+        return { ...this.data.parseJSONExport(jsonData), report: null };
+    }
+}
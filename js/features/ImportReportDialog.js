@@ -0,0 +1,132 @@
+/**
+ * ImportReportDialog - Shows what happened during an import
+ * (formats detected, failed conversations, skipped messages, artifact errors, warnings)
+ * and lets the user download the report as JSON
+ */
+
+import { HtmlUtils } from '../utils/HtmlUtils.js';
+
+// Entries shown per section; the downloaded JSON always has all of them
+const MAX_SECTION_ENTRIES = 200;
+
+export class ImportReportDialog {
+    constructor(eventBus, data) {
+        this.eventBus = eventBus;
+        this.data = data;
+        this.report = null;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('closeImportReport').addEventListener('click', () => {
+            this.hideDialog();
+        });
+
+        document.getElementById('downloadImportReport').addEventListener('click', () => {
+            this.download();
+        });
+
+        // Entries link to the affected conversation
+        document.getElementById('importReportBody').addEventListener('click', (e) => {
+            const link = e.target.closest('.import-report-link');
+            if (link) {
+                e.preventDefault();
+                this.hideDialog();
+                this.eventBus.emit('conversation:select', { id: link.dataset.id });
+            }
+        });
+    }
+
+    /**
+     * Show the report
+     * @param {Object} report - Report from ChatGPTData.finishImportReport
+     * @param {string} summary - Result of the import, e.g. "Imported 12 conversation(s)"
+     */
+    show(report, summary) {
+        this.report = { ...report, summary, createdAt: new Date().toISOString() };
+
+        document.getElementById('importReportSummary').textContent = summary;
+        document.getElementById('importReportBody').innerHTML = this.renderReport(report);
+        document.getElementById('importReportDialog').style.display = 'flex';
+    }
+
+    hideDialog() {
+        document.getElementById('importReportDialog').style.display = 'none';
+    }
+
+    renderReport(report) {
+        const formats = Object.entries(report.formats);
+        const skippedCount = report.skippedMessages.reduce((sum, entry) => sum + entry.empty + entry.system + (entry.noQuestion || 0), 0);
+
+        let html = this.renderSection('Detected formats', formats, ([format, count]) =>
+            `${HtmlUtils.escapeHtml(format)}: ${count} conversation(s)`);
+
+        html += this.renderSection(`Failed conversations (${report.failed.length})`, report.failed, entry =>
+            `${this.renderConversation(entry)} — ${HtmlUtils.escapeHtml(entry.reason)}`);
+
+        html += this.renderSection(`Ambiguous format (${report.ambiguous.length})`, report.ambiguous, entry => {
+            const scores = entry.candidates.map(c => `${c.id} ${Math.round(c.confidence * 100)}%`).join(', ');
+            return `${this.renderConversation(entry)} — read as ${HtmlUtils.escapeHtml(entry.format)} (${HtmlUtils.escapeHtml(scores)})`;
+        });
+
+        html += this.renderSection(`Skipped messages (${skippedCount})`, report.skippedMessages, entry => {
+            const counts = [
+                entry.empty > 0 ? `${entry.empty} empty` : null,
+                entry.system > 0 ? `${entry.system} system` : null,
+                entry.noQuestion > 0 ? `${entry.noQuestion} before the first question` : null
+            ].filter(Boolean).join(', ');
+            return `${this.renderConversation(entry)} — ${counts}`;
+        });
+
+        html += this.renderSection(`Artifacts that failed to parse (${report.artifactErrors.length})`, report.artifactErrors, entry =>
+            `${this.renderConversation(entry)} — ${HtmlUtils.escapeHtml(entry.name)}: ${HtmlUtils.escapeHtml(entry.error)}`);
+
+        html += this.renderSection(`Warnings (${report.warnings.length})`, report.warnings, warning =>
+            HtmlUtils.escapeHtml(warning));
+
+        return html;
+    }
+
+    renderSection(title, entries, renderEntry) {
+        if (entries.length === 0) {
+            return '';
+        }
+
+        const items = entries.slice(0, MAX_SECTION_ENTRIES).map(entry => `<li>${renderEntry(entry)}</li>`).join('');
+        const more = entries.length > MAX_SECTION_ENTRIES
+            ? `<li class="import-report-more">... and ${entries.length - MAX_SECTION_ENTRIES} more (see the downloaded report)</li>`
+            : '';
+
+        return `
+            <div class="import-report-section">
+                <div class="import-report-title">${title}</div>
+                <ul class="import-report-list">${items}${more}</ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Conversation name, as a link when it is in the library
+     */
+    renderConversation(entry) {
+        const title = HtmlUtils.escapeHtml(entry.title || entry.conversationId || 'Unknown conversation');
+        if (entry.conversationId && this.data.getConversation(entry.conversationId)) {
+            return `<a href="#" class="import-report-link" data-id="${HtmlUtils.escapeHtml(entry.conversationId)}">${title}</a>`;
+        }
+        return `<span class="import-report-name">${title}</span>`;
+    }
+
+    download() {
+        if (!this.report) return;
+
+        const blob = new Blob([JSON.stringify(this.report, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `import-report-${new Date().toISOString().split('T')[0]}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
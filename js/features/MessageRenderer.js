@@ -6,6 +6,18 @@ import { MarkdownParser } from '../utils/MarkdownParser.js';
 import { DateUtils } from '../utils/DateUtils.js';
 import { HtmlUtils } from '../utils/HtmlUtils.js';
 
+// Conversation metadata shown in the details section, in order
+const DETAIL_FIELDS = [
+    { key: 'provider', label: 'Provider' },
+    { key: 'workingDirectory', label: 'Working directory' },
+    { key: 'gitBranch', label: 'Git branch' },
+    { key: 'models', label: 'Models' },
+    { key: 'usage', label: 'Tokens' },
+    { key: 'stopReason', label: 'Stop reason' },
+    { key: 'apiCalls', label: 'API calls' },
+    { key: 'groupKey', label: 'Grouped by' }
+];
+
 export class MessageRenderer {
     constructor(eventBus, data) {
         this.eventBus = eventBus;
@@ -13,6 +25,7 @@ export class MessageRenderer {
         this.searchMatches = [];
         this.currentMatchIndex = -1;
         this.searchQuery = '';
+        this.objectUrls = []; // Blob URLs of rendered assets, revoked on re-render
 
         this.setupEventListeners();
     }
@@ -31,6 +44,9 @@ export class MessageRenderer {
         const container = document.getElementById('messagesContainer');
         container.innerHTML = '';
 
+        this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+
         let filteredPairs = pairs;
 
         if (filterQuery) {
@@ -53,9 +69,116 @@ export class MessageRenderer {
         filteredPairs.forEach(pair => {
             const pairEl = this.createPairElement(pair);
             container.appendChild(pairEl);
+            this.loadAttachments(pairEl);
         });
     }
 
+    /**
+     * Show a conversation's source metadata (provider, system prompt, token usage)
+     * and its Claude project (instructions, knowledge docs) above its messages, collapsed
+     */
+    renderConversationDetails(metadata, project = null) {
+        const container = document.getElementById('messagesContainer');
+        const previous = container.querySelector('.conversation-details');
+        if (previous) {
+            previous.remove();
+        }
+
+        if (!metadata && !project) {
+            return;
+        }
+        metadata = metadata || {};
+
+        const projectRows = project ? [
+            `<dt>Project</dt><dd>${HtmlUtils.escapeHtml(project.name)}</dd>`,
+            project.description ? `<dt>Description</dt><dd>${HtmlUtils.escapeHtml(project.description)}</dd>` : ''
+        ].join('') : '';
+
+        const rows = projectRows + DETAIL_FIELDS
+            .filter(field => metadata[field.key] !== undefined && metadata[field.key] !== null && metadata[field.key] !== '')
+            .map(field => {
+                const value = metadata[field.key];
+                let text;
+                if (field.key === 'usage') {
+                    text = this.formatUsage(value);
+                } else if (Array.isArray(value)) {
+                    text = value.join(', ');
+                } else {
+                    text = String(value);
+                }
+                return `<dt>${field.label}</dt><dd>${HtmlUtils.escapeHtml(text)}</dd>`;
+            })
+            .join('');
+
+        const systemPromptHtml = metadata.systemPrompt ? `
+            <div class="tool-section-label">System prompt</div>
+            <div class="message-text">${MarkdownParser.format(metadata.systemPrompt)}</div>
+        ` : '';
+
+        const projectHtml = project ? this.createProjectHtml(project) : '';
+
+        if (!rows && !systemPromptHtml && !projectHtml) {
+            return;
+        }
+
+        const details = document.createElement('div');
+        details.className = 'conversation-details';
+        details.innerHTML = `
+            <div class="thinking-section collapsed">
+                <button class="thinking-toggle" onclick="this.parentElement.classList.toggle('collapsed')">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="6 9 12 15 18 9"></polyline>
+                    </svg>
+                    <span>ℹ️ Conversation details</span>
+                </button>
+                <div class="thinking-content">
+                    ${rows ? `<dl class="details-list">${rows}</dl>` : ''}
+                    ${systemPromptHtml}
+                    ${projectHtml}
+                </div>
+            </div>
+        `;
+
+        container.insertBefore(details, container.firstChild);
+    }
+
+    /**
+     * Project custom instructions and knowledge docs, each doc collapsed
+     */
+    createProjectHtml(project) {
+        const instructionsHtml = project.instructions ? `
+            <div class="tool-section-label">Project instructions</div>
+            <div class="message-text">${MarkdownParser.format(project.instructions)}</div>
+        ` : '';
+
+        const docsHtml = project.docs.length > 0 ? `
+            <div class="tool-section-label">Project knowledge (${project.docs.length})</div>
+            ${project.docs.map(doc => `
+                <div class="thinking-section tool-section collapsed">
+                    <button class="thinking-toggle" onclick="this.parentElement.classList.toggle('collapsed')">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="6 9 12 15 18 9"></polyline>
+                        </svg>
+                        <span>📄 ${HtmlUtils.escapeHtml(doc.filename)}</span>
+                    </button>
+                    <div class="thinking-content">
+                        <pre class="message-text"><code>${HtmlUtils.escapeHtml(doc.content)}</code></pre>
+                    </div>
+                </div>
+            `).join('')}
+        ` : '';
+
+        return instructionsHtml + docsHtml;
+    }
+
+    /**
+     * Token usage as "1,234 tokens (1,000 in / 234 out)"
+     */
+    formatUsage(usage) {
+        const format = (count) => count.toLocaleString();
+        return `${format(usage.totalTokens)} tokens (${format(usage.inputTokens)} in / ${format(usage.outputTokens)} out)`;
+    }
+
     /**
      * Create a pair element (question + answers)
      */
@@ -73,6 +196,11 @@ export class MessageRenderer {
         const questionEl = this.createQuestionElement(pair.question, pair.index);
         container.appendChild(questionEl);
 
+        // Branch switcher for forks (edited prompts, regenerated answers)
+        if (pair.branches) {
+            questionEl.querySelector('.message-body').appendChild(this.createBranchSwitcher(pair));
+        }
+
         // Create answer element(s)
         if (pair.answers.length === 0) {
             const noResponseEl = document.createElement('div');
@@ -104,11 +232,13 @@ export class MessageRenderer {
         div.className = 'message user';
 
         const content = MarkdownParser.format(question.content);
+        const attachmentsHtml = this.createAttachmentsHtml(question.attachments);
 
         div.innerHTML = `
             <div class="message-content">
                 <div class="message-index">${index}</div>
                 <div class="message-body">
+                    ${attachmentsHtml}
                     <div class="message-text">${content}</div>
                 </div>
             </div>
@@ -117,6 +247,38 @@ export class MessageRenderer {
         return div;
     }
 
+    /**
+     * Create branch switcher ("< 2/3 >") for a pair that starts a fork
+     */
+    createBranchSwitcher(pair) {
+        const { index, tails } = pair.branches;
+        const switcher = document.createElement('div');
+        switcher.className = 'branch-switcher';
+
+        switcher.innerHTML = `
+            <button class="branch-nav-btn" data-direction="-1" title="Previous branch" ${index === 0 ? 'disabled' : ''}>
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polyline points="15 18 9 12 15 6"></polyline>
+                </svg>
+            </button>
+            <span class="branch-count">${index + 1}/${tails.length}</span>
+            <button class="branch-nav-btn" data-direction="1" title="Next branch" ${index === tails.length - 1 ? 'disabled' : ''}>
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polyline points="9 18 15 12 9 6"></polyline>
+                </svg>
+            </button>
+        `;
+
+        switcher.querySelectorAll('.branch-nav-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const branchIndex = index + parseInt(btn.dataset.direction, 10);
+                this.eventBus.emit('pair:branch', { pairId: pair.id, branchIndex });
+            });
+        });
+
+        return switcher;
+    }
+
     /**
      * Create answer element
      */
@@ -130,17 +292,18 @@ export class MessageRenderer {
 
         // Build thinking section HTML if present
         let thinkingHtml = '';
-        if (answer.thinking) {
+        if (answer.thinking || answer.thinkingLabel) {
+            const thinkingLabel = answer.thinkingLabel ? HtmlUtils.escapeHtml(answer.thinkingLabel) : 'Thinking Process';
             thinkingHtml = `
                 <div class="thinking-section collapsed">
                     <button class="thinking-toggle" onclick="this.parentElement.classList.toggle('collapsed')">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <polyline points="6 9 12 15 18 9"></polyline>
                         </svg>
-                        <span>Thinking Process</span>
+                        <span>${thinkingLabel}</span>
                     </button>
                     <div class="thinking-content">
-                        <div class="message-text">${MarkdownParser.format(answer.thinking)}</div>
+                        <div class="message-text">${MarkdownParser.format(answer.thinking || '')}</div>
                     </div>
                 </div>
             `;
@@ -167,11 +330,20 @@ export class MessageRenderer {
             });
         }
 
+        const toolBlocksHtml = this.createToolBlocksHtml(answer.toolBlocks);
+
         const content = MarkdownParser.format(answer.content, answer);
+        const attachmentsHtml = this.createAttachmentsHtml(answer.attachments);
+
+        const usage = answer.metadata && answer.metadata.usage;
+        const usageHtml = usage && usage.totalTokens !== undefined
+            ? `<span class="usage-info" title="${HtmlUtils.escapeHtml(this.formatUsage(usage))}">${usage.totalTokens.toLocaleString()} tokens</span>`
+            : '';
 
         const actionsHtml = showActions ? `
             <div class="message-actions">
-                <span class="model-badge">${model}</span>
+                <span class="model-badge"${answer.modelId ? ` title="${HtmlUtils.escapeHtml(answer.modelId)}"` : ''}>${HtmlUtils.escapeHtml(model)}</span>
+                ${usageHtml}
                 <button class="message-action-btn timestamp" title="Show timestamp">
                     🕒 ${timestampStr}
                 </button>
@@ -188,7 +360,9 @@ export class MessageRenderer {
             <div class="message-content">
                 <div class="message-body">
                     ${thinkingHtml}
+                    ${toolBlocksHtml}
                     ${artifactsHtml}
+                    ${attachmentsHtml}
                     <div class="message-text">${content}</div>
                     ${actionsHtml}
                 </div>
@@ -218,6 +392,161 @@ export class MessageRenderer {
         return container;
     }
 
+    /**
+     * Create collapsible sections for tool blocks (code interpreter, searches, visited pages,
+     * shell commands, file edits, tool calls)
+     */
+    createToolBlocksHtml(toolBlocks) {
+        if (!toolBlocks || toolBlocks.length === 0) {
+            return '';
+        }
+
+        return toolBlocks.map(block => {
+            let title = '';
+            let body = '';
+
+            if (block.type === 'code') {
+                const language = block.language || 'code';
+                const icon = language.toLowerCase() === 'python' ? '🐍' : '📜';
+                title = block.code !== null ? `${icon} Code (${HtmlUtils.escapeHtml(language)})` : '📤 Output';
+                if (block.code !== null) {
+                    body += this.formatArtifactContent(language, block.code);
+                }
+                if (block.output !== null) {
+                    body += `<div class="tool-section-label">Output</div>
+                        <pre class="message-text"><code>${HtmlUtils.escapeHtml(block.output)}</code></pre>`;
+                }
+            } else if (block.type === 'shell') {
+                const command = block.command.split('\n')[0];
+                title = `💻 ${HtmlUtils.escapeHtml(block.description || HtmlUtils.truncate(command, 80))}`;
+                body += this.formatArtifactContent('shell', block.command);
+                if (block.output) {
+                    body += `<div class="tool-section-label">Output</div>
+                        <pre class="message-text"><code>${HtmlUtils.escapeHtml(block.output)}</code></pre>`;
+                }
+            } else if (block.type === 'edit') {
+                const verb = block.action === 'create' ? 'Created' : 'Edited';
+                title = `${block.action === 'create' ? '📝' : '✏️'} ${verb}: ${HtmlUtils.escapeHtml(block.path || 'file')}`;
+                body += this.formatArtifactContent(block.language || 'text', block.content || '');
+                // Successful edits only echo "file updated", so only failures are shown
+                if (block.isError && block.output) {
+                    body += `<div class="tool-section-label">Result</div>
+                        <pre class="message-text"><code>${HtmlUtils.escapeHtml(block.output)}</code></pre>`;
+                }
+            } else if (block.type === 'search') {
+                title = `🔍 Searched: ${HtmlUtils.escapeHtml(block.queries.join(', '))}`;
+                body = `<ul class="tool-list">${block.queries.map(q => `<li>${HtmlUtils.escapeHtml(q)}</li>`).join('')}</ul>`;
+            } else if (block.type === 'browse') {
+                title = `🌐 Visited ${block.pages.length} page${block.pages.length === 1 ? '' : 's'}`;
+                body = `<ul class="tool-list">${block.pages.map(page => {
+                    const pageTitle = HtmlUtils.escapeHtml(page.title || page.url || 'Untitled');
+                    // Only web pages become links, a javascript: URL in an export must not run
+                    const link = /^https?:\/\//i.test(page.url || '')
+                        ? `<a href="${HtmlUtils.escapeHtml(page.url)}" target="_blank" rel="noopener noreferrer" class="message-link">${pageTitle}</a>`
+                        : pageTitle;
+                    const domain = page.domain ? ` <small>${HtmlUtils.escapeHtml(page.domain)}</small>` : '';
+                    const snippet = page.text ? `<div class="tool-snippet">${HtmlUtils.escapeHtml(HtmlUtils.truncate(page.text, 300))}</div>` : '';
+                    return `<li>${link}${domain}${snippet}</li>`;
+                }).join('')}</ul>`;
+            } else {
+                title = `🔧 Tool: ${HtmlUtils.escapeHtml(block.name || 'tool')}`;
+                if (block.input) {
+                    body += `<div class="tool-section-label">Input</div>
+                        <pre class="message-text"><code>${HtmlUtils.escapeHtml(block.input)}</code></pre>`;
+                }
+                if (block.output) {
+                    body += `<div class="tool-section-label">Result</div>
+                        <pre class="message-text"><code>${HtmlUtils.escapeHtml(block.output)}</code></pre>`;
+                }
+            }
+
+            return `
+                <div class="thinking-section tool-section collapsed">
+                    <button class="thinking-toggle" onclick="this.parentElement.classList.toggle('collapsed')">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="6 9 12 15 18 9"></polyline>
+                        </svg>
+                        <span>${title}</span>
+                    </button>
+                    <div class="thinking-content">
+                        ${body}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Create placeholder cards for image/file attachments
+     * loadAttachments() swaps them for the real file when it was imported
+     */
+    createAttachmentsHtml(attachments) {
+        if (!attachments || attachments.length === 0) {
+            return '';
+        }
+
+        const cards = attachments.map(att => {
+            const isImage = att.mimeType && att.mimeType.startsWith('image/');
+            const meta = [];
+            if (att.width && att.height) meta.push(`${att.width}×${att.height}`);
+            if (att.size) meta.push(HtmlUtils.formatFileSize(att.size));
+            meta.push('Not included in import');
+
+            return `
+                <div class="attachment-card" data-file-id="${HtmlUtils.escapeHtml(att.fileId || '')}" title="${HtmlUtils.escapeHtml(att.prompt || att.name || '')}">
+                    <span class="attachment-icon">${isImage ? '🖼️' : '📄'}</span>
+                    <div class="attachment-info">
+                        <div class="attachment-name">${HtmlUtils.escapeHtml(att.name || 'Attachment')}</div>
+                        <div class="attachment-meta">${meta.join(' • ')}</div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        return `<div class="message-attachments">${cards}</div>`;
+    }
+
+    /**
+     * Replace attachment placeholders with imported assets
+     */
+    async loadAttachments(element) {
+        const cards = element.querySelectorAll('.attachment-card[data-file-id]');
+
+        for (const card of cards) {
+            const asset = await this.data.getAsset(card.dataset.fileId);
+            if (!asset || !asset.blob || !card.isConnected) continue;
+
+            const url = URL.createObjectURL(asset.blob);
+            this.objectUrls.push(url);
+
+            // SVGs stored by earlier versions are only offered as downloads, see ASSET_MIME_TYPES in ZipImporter
+            if (asset.mimeType && asset.mimeType.startsWith('image/') && asset.mimeType !== 'image/svg+xml') {
+                const link = document.createElement('a');
+                link.href = url;
+                link.target = '_blank';
+                link.rel = 'noopener';
+                link.className = 'attachment-image-link';
+                link.title = card.title;
+
+                const img = document.createElement('img');
+                img.className = 'attachment-image';
+                img.src = url;
+                img.alt = asset.name;
+                link.appendChild(img);
+
+                card.replaceWith(link);
+            } else {
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = asset.name;
+                link.className = 'attachment-card';
+                link.innerHTML = card.innerHTML;
+                link.querySelector('.attachment-meta').textContent = `${HtmlUtils.formatFileSize(asset.size)} • Download`;
+                card.replaceWith(link);
+            }
+        }
+    }
+
     /**
      * Format artifact content
      */
@@ -0,0 +1,68 @@
+/**
+ * MigrationNotice - Shows that stored data is being updated to a new IndexedDB version,
+ * and where the backup was kept if the update failed
+ */
+
+// Time the notice stays up after a successful migration (ms)
+const DONE_NOTICE_DURATION = 3000;
+
+export class MigrationNotice {
+    constructor(data) {
+        this.data = data;
+        this.hideTimer = null;
+        this.data.onStorageMigration = (status) => this.show(status);
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('dismissMigrationNotice').addEventListener('click', () => {
+            this.hide();
+        });
+    }
+
+    /**
+     * Show migration progress
+     * @param {Object} status - { state, fromVersion, toVersion, steps, error?, backupName? }
+     *   from IndexedDBStorage.onMigration
+     */
+    show(status) {
+        const notice = document.getElementById('migrationNotice');
+        const title = document.getElementById('migrationNoticeTitle');
+        const text = document.getElementById('migrationNoticeText');
+        const dismissBtn = document.getElementById('dismissMigrationNotice');
+
+        clearTimeout(this.hideTimer);
+        notice.classList.toggle('failed', status.state === 'failed');
+        dismissBtn.style.display = status.state === 'running' ? 'none' : '';
+
+        switch (status.state) {
+            case 'running':
+                title.textContent = 'Updating stored data...';
+                text.textContent = `Version ${status.fromVersion} → ${status.toVersion}: ${status.steps.join(', ')}. Please keep this tab open.`;
+                break;
+            case 'blocked':
+                title.textContent = 'Waiting to update stored data';
+                text.textContent = 'Close other tabs of this app so the stored data can be updated.';
+                break;
+            case 'done':
+                title.textContent = 'Stored data updated';
+                text.textContent = `Version ${status.fromVersion} → ${status.toVersion}`;
+                this.hideTimer = setTimeout(() => this.hide(), DONE_NOTICE_DURATION);
+                break;
+            case 'failed':
+                title.textContent = 'Stored data could not be updated';
+                text.textContent = `${status.error.message}\n` +
+                    'Your stored data was left as it was' +
+                    (status.backupName ? ` and a copy was saved in the "${status.backupName}" database.` : '.') +
+                    ' Changes made now are kept in localStorage only.';
+                break;
+        }
+
+        notice.style.display = 'block';
+    }
+
+    hide() {
+        clearTimeout(this.hideTimer);
+        document.getElementById('migrationNotice').style.display = 'none';
+    }
+}
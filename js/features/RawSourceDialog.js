@@ -0,0 +1,133 @@
+/**
+ * RawSourceDialog - Shows the original imported record of a conversation,
+ * downloads it untouched and re-parses the conversation from it
+ */
+
+import { HtmlUtils } from '../utils/HtmlUtils.js';
+import { DateUtils } from '../utils/DateUtils.js';
+
+// Characters shown in the dialog; the download always has the whole original
+const MAX_PREVIEW_LENGTH = 200000;
+
+export class RawSourceDialog {
+    constructor(eventBus, data, onReparse) {
+        this.eventBus = eventBus;
+        this.data = data;
+        this.onReparse = onReparse;
+        this.conversationId = null;
+        this.sourceText = null;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('closeRawSource').addEventListener('click', () => {
+            this.hideDialog();
+        });
+
+        document.getElementById('downloadRawSource').addEventListener('click', () => {
+            this.download();
+        });
+
+        document.getElementById('reparseRawSource').addEventListener('click', () => {
+            this.reparse();
+        });
+    }
+
+    /**
+     * Show the original of a conversation
+     */
+    async show(conversationId) {
+        const conv = this.data.getConversation(conversationId);
+        if (!conv) return;
+
+        this.conversationId = conversationId;
+        this.sourceText = null;
+
+        const summary = document.getElementById('rawSourceSummary');
+        const content = document.getElementById('rawSourceContent');
+        summary.textContent = 'Loading...';
+        content.textContent = '';
+        this.setButtonsEnabled(false);
+        document.getElementById('rawSourceDialog').style.display = 'flex';
+
+        let record = null;
+        try {
+            record = await this.data.getSource(conversationId);
+            if (record) {
+                this.sourceText = await this.data.readSourceText(record);
+            }
+        } catch (error) {
+            console.error('Error reading original source:', error);
+            summary.textContent = `The original could not be read: ${error.message}`;
+            return;
+        }
+
+        if (!record) {
+            summary.textContent = 'No original is stored for this conversation. It was imported from HTML, or before originals were kept; import the export again to keep it.';
+            return;
+        }
+
+        const stored = record.compressed ? ` (${HtmlUtils.formatFileSize(record.data.size)} compressed)` : '';
+        summary.textContent = [
+            `Format: ${record.format}`,
+            `Size: ${HtmlUtils.formatFileSize(record.size)}${stored}`,
+            `Imported: ${DateUtils.formatDateTime(DateUtils.timestampToDate(record.importedAt))}`,
+            conv.mergedImport ? 'Merged from several imports: this is the latest original, so the conversation can not be re-parsed from it.' : null
+        ].filter(Boolean).join('\n');
+
+        const preview = JSON.stringify(JSON.parse(this.sourceText), null, 2);
+        content.textContent = preview.length > MAX_PREVIEW_LENGTH
+            ? `${preview.substring(0, MAX_PREVIEW_LENGTH)}\n\n... (truncated, download the original to see all of it)`
+            : preview;
+        this.setButtonsEnabled(true);
+        document.getElementById('reparseRawSource').disabled = !!conv.mergedImport;
+    }
+
+    hideDialog() {
+        document.getElementById('rawSourceDialog').style.display = 'none';
+        document.getElementById('rawSourceContent').textContent = '';
+        this.sourceText = null;
+    }
+
+    setButtonsEnabled(enabled) {
+        document.getElementById('downloadRawSource').disabled = !enabled;
+        document.getElementById('reparseRawSource').disabled = !enabled;
+    }
+
+    download() {
+        if (!this.sourceText) return;
+
+        const conv = this.data.getConversation(this.conversationId);
+        const name = (conv && conv.title ? conv.title : this.conversationId).replace(/[\\/:*?"<>|]+/g, '_').substring(0, 80);
+        const blob = new Blob([this.sourceText], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${name}-original.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Replace the conversation with a fresh parse of its original
+     */
+    async reparse() {
+        if (!confirm('Re-parse this conversation from its original? Stars, folder and title are kept.')) {
+            return;
+        }
+
+        try {
+            await this.data.reparseConversation(this.conversationId);
+        } catch (error) {
+            alert(`Re-parsing failed: ${error.message}`);
+            return;
+        }
+
+        this.hideDialog();
+        if (this.onReparse) {
+            this.onReparse();
+        }
+    }
+}
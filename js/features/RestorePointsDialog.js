@@ -0,0 +1,147 @@
+/**
+ * RestorePointsDialog - Lists the restore points of the library with their date and size,
+ * restores or downloads one, and sets how many are kept
+ */
+
+import { HtmlUtils } from '../utils/HtmlUtils.js';
+import { DateUtils } from '../utils/DateUtils.js';
+
+const REASON_LABELS = {
+    import: 'Before import',
+    clear: 'Before clearing data',
+    daily: 'Daily',
+    restore: 'Before restoring',
+    manual: 'Created manually'
+};
+
+export class RestorePointsDialog {
+    constructor(eventBus, data, onRestore) {
+        this.eventBus = eventBus;
+        this.data = data;
+        this.onRestore = onRestore;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('closeRestorePoints').addEventListener('click', () => {
+            this.hideDialog();
+        });
+
+        document.getElementById('createRestorePoint').addEventListener('click', async () => {
+            await this.data.createSnapshot('manual');
+            this.renderList();
+        });
+
+        ['restorePointMaxCount', 'restorePointMaxAge'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.saveRetention();
+            });
+        });
+
+        document.getElementById('restorePointList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                this.handleAction(button.dataset.action, button.dataset.id);
+            }
+        });
+    }
+
+    show() {
+        const retention = this.data.getSnapshotRetention();
+        document.getElementById('restorePointMaxCount').value = retention.maxCount;
+        document.getElementById('restorePointMaxAge').value = retention.maxAgeDays;
+        document.getElementById('restorePointDialog').style.display = 'flex';
+        this.renderList();
+    }
+
+    hideDialog() {
+        document.getElementById('restorePointDialog').style.display = 'none';
+    }
+
+    async renderList() {
+        const summary = document.getElementById('restorePointSummary');
+        const list = document.getElementById('restorePointList');
+        const available = this.data.storageMode === 'indexeddb';
+
+        document.getElementById('createRestorePoint').disabled = !available || this.data.conversations.length === 0;
+        if (!available) {
+            summary.textContent = 'Restore points need IndexedDB, which is not available in this browser.';
+            list.innerHTML = '';
+            return;
+        }
+
+        const snapshots = await this.data.listSnapshots();
+        const totalSize = snapshots.reduce((sum, snapshot) => sum + snapshot.data.size, 0);
+        summary.textContent = snapshots.length > 0
+            ? `${snapshots.length} restore point(s), ${HtmlUtils.formatFileSize(totalSize)} stored. Images, originals from exports and the trash are not included.`
+            : 'No restore points yet. One is taken before every import, before clearing data, and once a day.';
+
+        list.innerHTML = snapshots.map(snapshot => `
+            <div class="restore-point-item">
+                <div class="restore-point-info">
+                    <div class="restore-point-title">${HtmlUtils.escapeHtml(DateUtils.formatDateTime(DateUtils.timestampToDate(snapshot.createdAt)))}</div>
+                    <div class="restore-point-meta">
+                        ${HtmlUtils.escapeHtml(REASON_LABELS[snapshot.reason] || snapshot.reason)} •
+                        ${snapshot.conversationCount} conversation(s) •
+                        ${HtmlUtils.formatFileSize(snapshot.data.size)}
+                    </div>
+                </div>
+                <div class="restore-point-actions">
+                    <button class="duplicate-choice-btn" data-action="restore" data-id="${HtmlUtils.escapeHtml(snapshot.id)}">Restore</button>
+                    <button class="duplicate-choice-btn" data-action="download" data-id="${HtmlUtils.escapeHtml(snapshot.id)}">Download</button>
+                    <button class="duplicate-choice-btn" data-action="delete" data-id="${HtmlUtils.escapeHtml(snapshot.id)}">Delete</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    async handleAction(action, id) {
+        try {
+            if (action === 'restore') {
+                // The current library becomes a restore point first, so no confirmation is needed
+                const count = await this.data.restoreSnapshot(id);
+                this.hideDialog();
+                if (this.onRestore) {
+                    this.onRestore(count);
+                }
+                return;
+            }
+
+            if (action === 'download') {
+                await this.download(id);
+            } else if (action === 'delete' && confirm('Delete this restore point?')) {
+                await this.data.deleteSnapshot(id);
+            }
+        } catch (error) {
+            console.error('Restore point action failed:', error);
+            alert(`Could not ${action} the restore point: ${error.message}`);
+        }
+        this.renderList();
+    }
+
+    /**
+     * Download a restore point as a project file, which can be imported again
+     */
+    async download(id) {
+        const text = await this.data.readSnapshotText(id);
+        const blob = new Blob([text], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `chatgpt-parser-restore-point-${id.replace(/^snapshot_/, '')}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    async saveRetention() {
+        const maxCount = Math.max(1, parseInt(document.getElementById('restorePointMaxCount').value, 10) || 1);
+        const maxAgeDays = Math.max(0, parseInt(document.getElementById('restorePointMaxAge').value, 10) || 0);
+        document.getElementById('restorePointMaxCount').value = maxCount;
+        document.getElementById('restorePointMaxAge').value = maxAgeDays;
+
+        await this.data.setSnapshotRetention({ maxCount, maxAgeDays });
+        this.renderList();
+    }
+}
@@ -0,0 +1,101 @@
+/**
+ * TranscriptImporter - Imports plain Markdown / text chat transcripts
+ * Parsing is done by the 'transcript' format (js/parsers/transcript.js);
+ * this asks for the speaker markers and remembers them for next time
+ */
+
+const SPEAKERS_STORAGE_KEY = 'transcript_speakers';
+
+export class TranscriptImporter {
+    constructor(data) {
+        this.data = data;
+    }
+
+    static isTranscriptFile(name) {
+        return /\.(md|markdown|txt)$/i.test(name);
+    }
+
+    /**
+     * Ask which speaker markers the transcripts use
+     * @returns {Promise<Object|null>} { user: [], assistant: [] }, or null if cancelled
+     */
+    askSpeakers() {
+        const dialog = document.getElementById('transcriptDialog');
+        const userInput = document.getElementById('transcriptUserMarkers');
+        const assistantInput = document.getElementById('transcriptAssistantMarkers');
+        const speakers = this.getSavedSpeakers();
+
+        userInput.value = speakers.user.join(', ');
+        assistantInput.value = speakers.assistant.join(', ');
+        dialog.style.display = 'flex';
+
+        return new Promise(resolve => {
+            const close = (result) => {
+                dialog.style.display = 'none';
+                resolve(result);
+            };
+
+            document.getElementById('cancelTranscript').onclick = () => close(null);
+
+            document.getElementById('confirmTranscript').onclick = () => {
+                const parseList = (value) => value.split(',').map(name => name.trim()).filter(Boolean);
+                const result = { user: parseList(userInput.value), assistant: parseList(assistantInput.value) };
+
+                if (result.user.length === 0 || result.assistant.length === 0) {
+                    alert('Please enter at least one marker for each speaker.');
+                    return;
+                }
+
+                localStorage.setItem(SPEAKERS_STORAGE_KEY, JSON.stringify(result));
+                close(result);
+            };
+        });
+    }
+
+    getSavedSpeakers() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SPEAKERS_STORAGE_KEY));
+            if (saved && Array.isArray(saved.user) && Array.isArray(saved.assistant)) {
+                return saved;
+            }
+        } catch (error) {
+            console.warn('Ignoring invalid saved transcript speakers:', error);
+        }
+        return ChatGPTData.getFormat('transcript').defaultSpeakers;
+    }
+
+    /**
+     * Import one transcript file
+     * @param {File} file - .md or .txt file
+     * @param {Object} speakers - Markers from askSpeakers()
+     * @returns {Promise<{conversations: Array, warnings: Array}>}
+     */
+    async import(file, speakers) {
+        const text = await file.text();
+
+        const transcript = {
+            text: text,
+            fileName: file.name,
+            lastModified: file.lastModified,
+            speakers: speakers
+        };
+
+        // Same file imported again gets the same id, also after it has grown, so it is
+        // detected as a duplicate and the new messages can be merged. The first question
+        // keeps apart different transcripts that share a name like "chat.md"
+        let firstQuestion = text;
+        try {
+            const parsed = ChatGPTData.getFormat('transcript').parse({ transcript }, this.data);
+            if (parsed.pairs.length > 0) {
+                firstQuestion = parsed.pairs[0].question.content;
+            }
+        } catch (error) {
+            // The import below reports it
+        }
+
+        return this.data.parseJSONExport([{
+            id: `transcript_${this.data.hashString(file.name + '\u0000' + firstQuestion)}`,
+            transcript: transcript
+        }]);
+    }
+}
@@ -0,0 +1,180 @@
+/**
+ * ZipImporter - Imports conversations and assets straight from export ZIP files
+ * (ChatGPT, Claude, DeepSeek, Google Takeout), including Claude's projects.json
+ */
+
+import { ZipReader } from '../utils/ZipReader.js';
+
+// Asset file extensions kept from export ZIPs
+// No SVG: opened from a blob: URL its scripts would run in the app's origin
+const ASSET_MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    bmp: 'image/bmp',
+    heic: 'image/heic',
+    pdf: 'application/pdf',
+    txt: 'text/plain',
+    csv: 'text/csv',
+    md: 'text/markdown',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    wav: 'audio/wav',
+    mp3: 'audio/mpeg',
+    m4a: 'audio/mp4',
+    mp4: 'video/mp4',
+    webm: 'video/webm'
+};
+
+// Assets are written to storage in batches to keep memory use flat
+const ASSET_BATCH_SIZE = 50;
+
+export class ZipImporter {
+    /**
+     * @param {Object} data - ChatGPTData instance
+     * @param {Function} parseJSON - Optional (blob, name) => Promise<{conversations, warnings}>
+     *   used for JSON entries, e.g. to parse them in a worker
+     */
+    constructor(data, parseJSON = null) {
+        this.data = data;
+        this.parseJSON = parseJSON;
+    }
+
+    /**
+     * Claude exports list projects (docs, custom instructions) in a separate file
+     */
+    static isProjectsFile(name) {
+        return name.split('/').pop().toLowerCase() === 'projects.json';
+    }
+
+    /**
+     * Import a ZIP export
+     * Assets are only read when saveAssets is called, once the conversations were added,
+     * so an import that is cancelled at the duplicates dialog stores none
+     * @param {File} file - ZIP file
+     * @returns {Promise<{conversations: Array, projects: Array, warnings: Array, saveAssets: Function}>}
+     *   saveAssets(warnings) resolves to the number of assets stored
+     */
+    async import(file) {
+        const zip = await ZipReader.open(file);
+        const entries = zip.entries.filter(entry => !entry.name.startsWith('__MACOSX/'));
+
+        const conversationEntries = this.findConversationEntries(entries);
+        if (conversationEntries.length === 0) {
+            throw new Error('No conversation files (conversations.json) found in the ZIP file');
+        }
+
+        const conversations = [];
+        const warnings = [];
+
+        for (const entry of conversationEntries) {
+            try {
+                if (entry.name.toLowerCase().endsWith('.json')) {
+                    const result = this.parseJSON
+                        ? await this.parseJSON(await zip.readBlob(entry, 'application/json'), entry.name)
+                        : this.data.parseJSONExport(JSON.parse(await zip.readText(entry)));
+                    conversations.push(...result.conversations);
+                    warnings.push(...result.warnings.map(w => `${entry.name}: ${w}`));
+                } else {
+                    conversations.push(...this.data.parseHTMLExport(await zip.readText(entry)));
+                }
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+                console.error('Error parsing ZIP entry', entry.name, ':', error);
+                warnings.push(`${entry.name}: ${error.message}`);
+            }
+        }
+
+        const projects = [];
+        for (const entry of entries.filter(entry => ZipImporter.isProjectsFile(entry.name))) {
+            try {
+                projects.push(...this.data.parseClaudeProjects(JSON.parse(await zip.readText(entry))));
+            } catch (error) {
+                warnings.push(`${entry.name}: ${error.message}`);
+            }
+        }
+
+        const saveAssets = (assetWarnings) => this.importAssets(zip, entries, assetWarnings);
+
+        return { conversations, projects, warnings, saveAssets };
+    }
+
+    /**
+     * Pick the files that hold conversations
+     * conversations.json is preferred; chat.html is only used when there is no JSON
+     */
+    findConversationEntries(entries) {
+        const baseName = (entry) => entry.name.split('/').pop().toLowerCase();
+
+        const found = entries.filter(entry =>
+            baseName(entry) === 'conversations.json' ||
+            (entry.name.includes('Gemini Apps/') && /^myactivity\.(json|html)$/.test(baseName(entry)))
+        );
+
+        if (found.length === 0) {
+            return entries.filter(entry => baseName(entry) === 'chat.html');
+        }
+        return found;
+    }
+
+    /**
+     * Store image/file assets from the ZIP so messages can show them
+     * @returns {Promise<number>} Number of assets stored
+     */
+    async importAssets(zip, entries, warnings) {
+        const assetEntries = entries.filter(entry => this.getMimeType(entry.name));
+        let batch = [];
+        let count = 0;
+
+        for (const entry of assetEntries) {
+            try {
+                const mimeType = this.getMimeType(entry.name);
+                const blob = await zip.readBlob(entry, mimeType);
+                const name = entry.name.split('/').pop();
+
+                batch.push({
+                    id: entry.name,
+                    fileId: this.getFileId(name),
+                    name: name,
+                    mimeType: mimeType,
+                    size: entry.size,
+                    blob: blob
+                });
+            } catch (error) {
+                warnings.push(`${entry.name}: ${error.message}`);
+            }
+
+            if (batch.length >= ASSET_BATCH_SIZE) {
+                await this.data.saveAssets(batch);
+                count += batch.length;
+                batch = [];
+            }
+        }
+
+        if (batch.length > 0) {
+            await this.data.saveAssets(batch);
+            count += batch.length;
+        }
+
+        return count;
+    }
+
+    getMimeType(path) {
+        const extension = path.split('.').pop().toLowerCase();
+        return ASSET_MIME_TYPES[extension] || null;
+    }
+
+    /**
+     * File id used by asset pointers, e.g. "file-AbC123-photo.png" -> "file-AbC123"
+     * Falls back to the file name for assets without an id
+     */
+    getFileId(name) {
+        const match = name.match(/^(file[-_][A-Za-z0-9]+)/);
+        return match ? match[1] : name;
+    }
+}
@@ -11,12 +11,24 @@ import { FolderManager } from './features/FolderManager.js';
 import { ContextMenu } from './features/ContextMenu.js';
 import { ConversationList } from './features/ConversationList.js';
 import { MobileUI } from './features/MobileUI.js';
+import { ZipImporter } from './features/ZipImporter.js';
+import { ImportPipeline } from './features/ImportPipeline.js';
+import { ImportReportDialog } from './features/ImportReportDialog.js';
+import { RawSourceDialog } from './features/RawSourceDialog.js';
+import { TranscriptImporter } from './features/TranscriptImporter.js';
+import { ApiLogImporter } from './features/ApiLogImporter.js';
+import { MigrationNotice } from './features/MigrationNotice.js';
+import { RestorePointsDialog } from './features/RestorePointsDialog.js';
+
+// Time between checks for the daily restore point and trash purge (ms)
+const DAILY_SNAPSHOT_CHECK_INTERVAL = 60 * 60 * 1000;
 
 class ChatGPTParserApp {
     constructor() {
         this.data = chatData;
         this.currentView = 'upload';
-        this.searchResults = [];
+        this.searchResultIds = null; // Conversations matching the global search, see handleGlobalSearch
+        this.searchTimer = null;
         this.currentSort = 'newestCreated';
         this.highlightedPairId = null;
 
@@ -33,6 +45,23 @@ class ChatGPTParserApp {
         // Mobile UI
         this.mobileUI = new MobileUI(eventBus);
 
+        // JSON parsing in a worker, also used for the JSON files inside export ZIPs
+        this.importPipeline = new ImportPipeline(this.data);
+        this.zipImporter = new ZipImporter(this.data, (blob, name) => this.parseJSONFile(blob, name));
+        this.importReportDialog = new ImportReportDialog(eventBus, this.data);
+        this.rawSourceDialog = new RawSourceDialog(eventBus, this.data, () => this.updateUI());
+        this.transcriptImporter = new TranscriptImporter(this.data);
+        this.apiLogImporter = new ApiLogImporter(this.data);
+        this.migrationNotice = new MigrationNotice(this.data); // Before loadFromStorage, which runs migrations
+        this.restorePointsDialog = new RestorePointsDialog(eventBus, this.data, (count) => {
+            this.updateUI();
+            alert(`Restored ${count} conversation(s). The library as it was before is kept as a restore point.`);
+        });
+        this.lastImportReport = null;
+        // Held back until the duplicates dialog is confirmed, see addImportedConversations()
+        this.pendingProjects = []; // Claude projects being imported
+        this.pendingAssetImports = []; // saveAssets of imported ZIPs
+
         this.init();
     }
 
@@ -50,6 +79,17 @@ class ChatGPTParserApp {
         this.mobileUI.setupSearchToggle();
 
         this.updateUI();
+
+        // Daily restore point and trash purge, checked at startup and while the app stays open
+        await this.runDailyTasks();
+        setInterval(() => this.runDailyTasks(), DAILY_SNAPSHOT_CHECK_INTERVAL);
+    }
+
+    async runDailyTasks() {
+        await this.data.takeDailySnapshot();
+        if (await this.data.purgeTrash() > 0) {
+            this.updateConversationList();
+        }
     }
 
     bindEvents() {
@@ -70,6 +110,10 @@ class ChatGPTParserApp {
             this.handleFileUpload(e.target.files);
         });
 
+        document.getElementById('cancelImportBtn').addEventListener('click', () => {
+            this.importPipeline.cancel();
+        });
+
         document.getElementById('newChatBtn').addEventListener('click', () => {
             document.getElementById('fileInput').click();
         });
@@ -118,6 +162,13 @@ class ChatGPTParserApp {
             this.deleteCurrentThread();
         });
 
+        // Original imported data of the current thread
+        document.getElementById('rawSourceBtn').addEventListener('click', () => {
+            if (this.data.currentConversationId) {
+                this.rawSourceDialog.show(this.data.currentConversationId);
+            }
+        });
+
         // Thread search - connect to MessageRenderer via EventBus
         document.getElementById('threadSearchInput').addEventListener('input', (e) => {
             eventBus.emit('search:query', { query: e.target.value });
@@ -149,7 +200,7 @@ class ChatGPTParserApp {
 
         // Clear data
         document.getElementById('clearDataBtn').addEventListener('click', () => {
-            if (confirm('Are you sure you want to clear all data? This cannot be undone.')) {
+            if (confirm('Are you sure you want to clear all data? A restore point is kept under Restore Points; the trash is emptied for good.')) {
                 this.clearAllData();
             }
         });
@@ -174,8 +225,8 @@ class ChatGPTParserApp {
             await this.selectConversation(data.id);
         });
 
-        eventBus.on('conversation:selectWithPair', (data) => {
-            this.selectConversationWithHighlightedPair(data.conversationId, data.pairId);
+        eventBus.on('conversation:selectWithPair', async (data) => {
+            await this.selectConversationWithHighlightedPair(data.conversationId, data.pairId);
         });
 
         eventBus.on('conversation:star', async (data) => {
@@ -184,9 +235,27 @@ class ChatGPTParserApp {
 
         // Message actions
         eventBus.on('pair:delete', async (data) => {
-            if (this.data.currentConversationId && confirm('Delete this message pair? This cannot be undone.')) {
+            if (this.data.currentConversationId) {
                 await this.data.deletePair(this.data.currentConversationId, data.pairId);
                 this.updateMainView();
+                this.updateConversationList();
+            }
+        });
+
+        // Trash
+        eventBus.on('trash:restore', async (entry) => {
+            if (entry.type === 'conversation') {
+                await this.data.restoreConversation(entry.conversationId);
+            } else {
+                await this.data.restorePair(entry.conversationId, entry.trashId);
+            }
+            this.updateUI();
+        });
+
+        eventBus.on('trash:empty', async () => {
+            if (confirm('Permanently delete everything in the trash? This cannot be undone.')) {
+                await this.data.purgeTrash(0);
+                this.updateConversationList();
             }
         });
 
@@ -196,61 +265,202 @@ class ChatGPTParserApp {
                 this.updateMainView();
             }
         });
+
+        eventBus.on('pair:branch', async (data) => {
+            if (this.data.currentConversationId) {
+                const switched = await this.data.switchBranch(this.data.currentConversationId, data.pairId, data.branchIndex);
+                if (switched) {
+                    this.updateUI();
+                }
+            }
+        });
     }
 
     async handleFileUpload(files) {
         if (!files || files.length === 0) return;
 
         const totalConversations = [];
+        const totalProjects = [];
         const allWarnings = [];
+        let cancelled = false;
+
+        // Markdown / text transcripts need to know how speakers are marked
+        let speakers = null;
+        if (Array.from(files).some(file => TranscriptImporter.isTranscriptFile(file.name))) {
+            speakers = await this.transcriptImporter.askSpeakers();
+        }
+
+        // API logs (.jsonl) need to know how lines are grouped into conversations
+        let importLogs = false;
+        if (Array.from(files).some(file => ApiLogImporter.isLogFile(file.name))) {
+            importLogs = await this.apiLogImporter.askOptions();
+        }
+
+        this.showImportProgress(true);
+        this.data.startImportReport();
 
         for (const file of files) {
+            this.updateImportProgress(file.name, { bytesRead: 0, totalBytes: file.size, conversations: 0 });
+
             try {
-                const content = await file.text();
                 let conversations = [];
                 let warnings = [];
 
-                if (file.name.endsWith('.json')) {
-                    const jsonData = JSON.parse(content);
-                    const result = this.data.parseJSONExport(jsonData);
+                if (file.name.toLowerCase().endsWith('.zip')) {
+                    // Export ZIP: read conversation files and assets without unzipping
+                    const result = await this.zipImporter.import(file);
+                    conversations = result.conversations;
+                    warnings = result.warnings;
+                    totalProjects.push(...result.projects);
+                    this.pendingAssetImports.push(result.saveAssets);
+                } else if (ZipImporter.isProjectsFile(file.name)) {
+                    // Claude projects.json from an extracted export
+                    totalProjects.push(...this.data.parseClaudeProjects(JSON.parse(await file.text())));
+                } else if (file.name.endsWith('.json')) {
+                    const result = await this.parseJSONFile(file, file.name);
                     conversations = result.conversations;
                     warnings = result.warnings;
                 } else if (file.name.endsWith('.html')) {
-                    conversations = this.data.parseHTMLExport(content);
+                    conversations = this.data.parseHTMLExport(await file.text());
+                } else if (importLogs && ApiLogImporter.isLogFile(file.name)) {
+                    const result = await this.parseJSONFile(file, file.name, { lines: true });
+                    conversations = result.conversations;
+                    warnings = result.warnings;
+                } else if (speakers && TranscriptImporter.isTranscriptFile(file.name)) {
+                    const result = await this.transcriptImporter.import(file, speakers);
+                    conversations = result.conversations;
+                    warnings = result.warnings;
                 }
 
                 totalConversations.push(...conversations);
                 allWarnings.push(...warnings);
             } catch (error) {
+                if (error.name === 'AbortError') {
+                    cancelled = true;
+                    break;
+                }
                 console.error('Error parsing file', file.name, ':', error);
-                alert(`Error parsing file: ${file.name}\n\n${error.message}`);
+                allWarnings.push(`Error parsing file ${file.name}: ${error.message}`);
             }
         }
 
+        this.showImportProgress(false);
+        const report = this.data.finishImportReport();
+
+        if (cancelled) {
+            this.discardPendingImport();
+            document.getElementById('fileInput').value = '';
+            return;
+        }
+
         if (allWarnings.length > 0) {
             console.warn('Import warnings:', allWarnings);
         }
+        report.warnings.push(...allWarnings);
+        this.lastImportReport = report;
+
+        // Restore point of the library before the import changes it
+        if (totalConversations.length > 0 || totalProjects.length > 0) {
+            await this.data.createSnapshot('import');
+        }
+
+        this.pendingProjects = totalProjects;
 
         if (totalConversations.length > 0) {
             // Check for duplicates
             const { duplicates, new: newConvs } = this.data.detectDuplicates(totalConversations);
 
             if (duplicates.length > 0) {
-                // Show duplicate dialog
+                // Show duplicate dialog, which compares the existing pairs
+                await this.data.loadConversationBodies(duplicates.map(dup => dup.id));
                 this.showDuplicateDialog(duplicates, newConvs, totalConversations.length);
             } else {
                 // No duplicates, import all
-                await this.data.addConversations(totalConversations);
-                alert(`Successfully imported ${totalConversations.length} conversation(s)!`);
+                const { projectSummary } = await this.addImportedConversations(totalConversations);
                 this.updateUI();
+                this.showImportReport(`Successfully imported ${totalConversations.length} conversation(s)!${projectSummary}`);
             }
+        } else if (totalProjects.length > 0) {
+            const { projectSummary } = await this.addImportedConversations([]);
+            this.updateUI();
+            this.showImportReport(projectSummary.trim());
         } else {
-            alert('No valid conversations found in the uploaded file(s).');
+            this.discardPendingImport();
+            this.showImportReport('No valid conversations found in the uploaded file(s).');
         }
 
         document.getElementById('fileInput').value = '';
     }
 
+    /**
+     * Add the conversations of an import together with what was held back for it:
+     * Claude projects become folders first, so new conversations carry them, and the
+     * images and files of imported ZIPs are stored after. Asset failures go to the import report
+     * @returns {Promise<Object>} Result of addConversations, with projectSummary for the message
+     */
+    async addImportedConversations(conversations, overwriteIds = [], mergeIds = []) {
+        const projects = this.pendingProjects;
+        const assetImports = this.pendingAssetImports;
+        this.discardPendingImport();
+
+        let projectSummary = '';
+        if (projects.length > 0) {
+            const created = await this.data.importClaudeProjects(projects, conversations);
+            projectSummary = ` ${projects.length} project(s) imported as folders` +
+                (created < projects.length ? ` (${projects.length - created} already existed).` : '.');
+        }
+
+        const result = await this.data.addConversations(conversations, overwriteIds, mergeIds);
+        for (const saveAssets of assetImports) {
+            await saveAssets(this.lastImportReport.warnings);
+        }
+        return { ...result, projectSummary };
+    }
+
+    discardPendingImport() {
+        this.pendingProjects = [];
+        this.pendingAssetImports = [];
+    }
+
+    /**
+     * Parse a JSON export in the import worker, reporting progress
+     */
+    async parseJSONFile(blob, name, options = {}) {
+        const result = await this.importPipeline.parseJSON(blob, progress => this.updateImportProgress(name, progress), options);
+        this.data.mergeImportReport(result.report);
+        return result;
+    }
+
+    /**
+     * Show the result of the last import together with its report
+     */
+    showImportReport(summary) {
+        this.importReportDialog.show(this.lastImportReport, summary);
+    }
+
+    showImportProgress(visible) {
+        document.getElementById('importProgress').style.display = visible ? 'block' : 'none';
+    }
+
+    /**
+     * Update the import progress bar
+     * @param {string} name - File being parsed
+     * @param {Object} progress - { bytesRead, totalBytes, conversations, countedAtEnd }
+     *   countedAtEnd is set while a file is read that is parsed as a whole (JSON Lines, single documents)
+     */
+    updateImportProgress(name, progress) {
+        const percent = progress.totalBytes > 0 ? Math.round(progress.bytesRead / progress.totalBytes * 100) : 0;
+        const toMB = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
+        document.getElementById('importProgressFile').textContent = `Importing ${name}`;
+        document.getElementById('importProgressFill').style.width = `${percent}%`;
+        const count = progress.countedAtEnd
+            ? 'conversations are counted once the file is read'
+            : `${progress.conversations} conversation(s) parsed`;
+        document.getElementById('importProgressText').textContent =
+            `${toMB(progress.bytesRead)} / ${toMB(progress.totalBytes)} MB read • ${count}`;
+    }
+
     showDuplicateDialog(duplicates, newConvs, totalCount) {
         const dialog = document.getElementById('duplicateDialog');
         const summary = document.getElementById('duplicateSummary');
@@ -277,6 +487,19 @@ class ChatGPTParserApp {
             const oldPairCount = dup.old.pairs?.length || 0;
             const newPairCount = dup.new.pairs?.length || 0;
 
+            // User state that "Use New" carries across
+            const state = this.data.getUserState(dup.old);
+            const folder = state.folderId ? this.data.getFolder(state.folderId) : null;
+            const keptFields = [
+                state.starred ? '★ Starred' : null,
+                folder ? `Folder "${folder.name}"` : null,
+                state.title ? 'Renamed title' : null,
+                state.starredPairCount > 0 ? `${state.starredPairCount} starred message(s)` : null
+            ].filter(Boolean);
+            const keptHtml = keptFields.length > 0
+                ? `<div class="duplicate-item-kept">Use New keeps: ${keptFields.map(f => HtmlUtils.escapeHtml(f)).join(' • ')}</div>`
+                : '';
+
             item.innerHTML = `
                 <div class="duplicate-item-info">
                     <div class="duplicate-item-title">${HtmlUtils.escapeHtml(dup.old.title)}</div>
@@ -284,9 +507,11 @@ class ChatGPTParserApp {
                         <span><span class="duplicate-badge old">EXISTING</span> ${oldDate} • ${oldPairCount} messages</span>
                         <span><span class="duplicate-badge new">NEW</span> ${newDate} • ${newPairCount} messages</span>
                     </div>
+                    ${keptHtml}
                 </div>
                 <div class="duplicate-item-choices">
                     <button class="duplicate-choice-btn" data-action="keep" title="Keep existing">Keep Old</button>
+                    <button class="duplicate-choice-btn" data-action="merge" title="Add new messages to existing">Merge</button>
                     <button class="duplicate-choice-btn" data-action="overwrite" title="Replace with new">Use New</button>
                 </div>
             `;
@@ -341,58 +566,84 @@ class ChatGPTParserApp {
 
         // Cancel button
         cancelBtn.onclick = () => {
+            this.discardPendingImport();
             dialog.style.display = 'none';
         };
 
         // Import non-duplicates only (for keepOld and overwrite)
         confirmBtn.onclick = async () => {
             const selected = document.querySelector('input[name="duplicateAction"]:checked').value;
+            let resultMessage = '';
 
             if (selected === 'keepOld') {
                 // Import only new conversations
-                await this.data.addConversations(newConvs);
-                alert(`Imported ${newConvs.length} new conversation(s). Skipped ${duplicates.length} duplicate(s).`);
+                const { projectSummary } = await this.addImportedConversations(newConvs);
+                resultMessage = `Imported ${newConvs.length} new conversation(s). Skipped ${duplicates.length} duplicate(s).${projectSummary}`;
+            } else if (selected === 'merge') {
+                // Import new conversations, append new pairs to duplicates
+                const mergeIds = duplicates.map(d => d.id);
+                const { mergedPairs, projectSummary } = await this.addImportedConversations([...newConvs, ...duplicates.map(d => d.new)], [], mergeIds);
+                resultMessage = `Imported ${newConvs.length} new conversation(s). ` +
+                    `Merged ${duplicates.length} duplicate(s), adding ${mergedPairs} new message(s).${projectSummary}`;
             } else if (selected === 'overwrite') {
                 // Import all, overwriting duplicates
                 const overwriteIds = duplicates.map(d => d.id);
-                await this.data.addConversations([...newConvs, ...duplicates.map(d => d.new)], overwriteIds);
-                alert(`Imported ${totalCount} conversation(s). ${duplicates.length} duplicate(s) were replaced.`);
+                const { kept, projectSummary } = await this.addImportedConversations([...newConvs, ...duplicates.map(d => d.new)], overwriteIds);
+                resultMessage = `Imported ${totalCount} conversation(s). ${duplicates.length} duplicate(s) were replaced.${projectSummary}` +
+                    this.describeKeptState(kept);
             }
 
             dialog.style.display = 'none';
             this.updateUI();
+            this.showImportReport(resultMessage);
         };
 
         // Apply individual choices
         applyBtn.onclick = async () => {
             const overwriteIds = [];
+            const mergeIds = [];
             let keepCount = 0;
-            let overwriteCount = 0;
 
             this.duplicateChoices.forEach((action, id) => {
                 if (action === 'overwrite') {
                     overwriteIds.push(id);
-                    overwriteCount++;
+                } else if (action === 'merge') {
+                    mergeIds.push(id);
                 } else {
                     keepCount++;
                 }
             });
 
-            // Get new conversations to import (for overwrite)
+            // Get new conversations to import (for overwrite and merge)
             const newToImport = duplicates
-                .filter(d => overwriteIds.includes(d.id))
+                .filter(d => overwriteIds.includes(d.id) || mergeIds.includes(d.id))
                 .map(d => d.new);
 
-            await this.data.addConversations([...newConvs, ...newToImport], overwriteIds);
-
-            alert(`Imported ${newConvs.length + newToImport.length} conversation(s). ` +
-                  `${keepCount} kept as-is, ${overwriteCount} replaced.`);
+            const { mergedPairs, kept, projectSummary } = await this.addImportedConversations([...newConvs, ...newToImport], overwriteIds, mergeIds);
 
             dialog.style.display = 'none';
             this.updateUI();
+            this.showImportReport(`Imported ${newConvs.length + newToImport.length} conversation(s). ` +
+                `${keepCount} kept as-is, ${mergeIds.length} merged (${mergedPairs} new messages), ${overwriteIds.length} replaced.${projectSummary}` +
+                this.describeKeptState(kept));
         };
     }
 
+    /**
+     * Summary of the user state kept on replaced conversations, for the import alert
+     * @param {Object} kept - Counts from addConversations
+     */
+    describeKeptState(kept) {
+        const fields = [
+            kept.starred > 0 ? `${kept.starred} star(s)` : null,
+            kept.folders > 0 ? `${kept.folders} folder assignment(s)` : null,
+            kept.titles > 0 ? `${kept.titles} renamed title(s)` : null,
+            kept.starredPairs > 0 ? `${kept.starredPairs} starred message(s)` : null
+        ].filter(Boolean);
+
+        return fields.length > 0 ? `\n\nKept from replaced conversations: ${fields.join(', ')}.` : '';
+    }
+
     toggleFolder(folderId) {
         const folder = document.querySelector(`.folder-header[data-folder="${folderId}"]`);
         const content = document.getElementById(`${folderId}Content`);
@@ -409,8 +660,19 @@ class ChatGPTParserApp {
         }
     }
 
+    /**
+     * Search message bodies after typing pauses; bodies that are not loaded are read from IndexedDB
+     */
     handleGlobalSearch(query) {
-        this.updateConversationList();
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(async () => {
+            const results = query.trim() ? await this.data.searchConversations(query.trim()) : null;
+            // Ignore results of a query that was changed while searching
+            if (document.getElementById('globalSearchInput').value === query) {
+                this.searchResultIds = results ? new Set(results.map(conv => conv.id)) : null;
+                this.updateConversationList();
+            }
+        }, 250);
     }
 
     toggleSidebar() {
@@ -449,14 +711,13 @@ class ChatGPTParserApp {
     async deleteCurrentThread() {
         if (!this.data.currentConversationId) return;
 
-        if (confirm('Are you sure you want to delete this entire conversation? This cannot be undone.')) {
-            await this.data.deleteConversation(this.data.currentConversationId);
-            this.updateUI();
-        }
+        // Deleted conversations go to the trash, where they can be restored
+        await this.data.deleteConversation(this.data.currentConversationId);
+        this.updateUI();
     }
 
-    saveProject() {
-        const project = this.data.exportProject();
+    async saveProject() {
+        const project = await this.data.exportProject();
         const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
@@ -468,8 +729,19 @@ class ChatGPTParserApp {
         URL.revokeObjectURL(url);
     }
 
+    showRestorePoints() {
+        this.closeTabPanel();
+        this.restorePointsDialog.show();
+    }
+
     async clearAllData() {
-        await this.data.clearStorage();
+        try {
+            await this.data.clearStorage();
+        } catch (error) {
+            console.error('Error clearing data:', error);
+            alert(`Could not clear the data: ${error.message}`);
+            return;
+        }
         this.data.conversations = [];
         this.data.currentConversationId = null;
         this.updateUI();
@@ -509,16 +781,12 @@ class ChatGPTParserApp {
         const searchQuery = document.getElementById('globalSearchInput').value.trim();
 
         if (searchQuery) {
+            // Title matches show right away, message matches once handleGlobalSearch has finished
             const lowerQuery = searchQuery.toLowerCase();
-            allConversations = allConversations.filter(conv => {
-                if (conv.title.toLowerCase().includes(lowerQuery)) {
-                    return true;
-                }
-                return conv.pairs.some(pair =>
-                    pair.question.content.toLowerCase().includes(lowerQuery) ||
-                    pair.answers.some(ans => ans.content.toLowerCase().includes(lowerQuery))
-                );
-            });
+            allConversations = allConversations.filter(conv =>
+                conv.title.toLowerCase().includes(lowerQuery) ||
+                (this.searchResultIds && this.searchResultIds.has(conv.id))
+            );
         }
 
         // Apply date filter if active
@@ -530,12 +798,11 @@ class ChatGPTParserApp {
         const sortedStarred = this.sortConversations(starredConversations);
 
         // Use ConversationList module to render
-        this.conversationList.render(sortedAll, sortedStarred, allStarredPairs);
+        this.conversationList.render(sortedAll, sortedStarred, allStarredPairs, this.data.getTrashItems());
     }
 
     async selectConversation(id) {
-        this.data.currentConversationId = id;
-        await this.data.saveToStorage();
+        await this.data.openConversation(id);
         this.updateUI();
         eventBus.emit('search:clear');
 
@@ -544,8 +811,8 @@ class ChatGPTParserApp {
         }
     }
 
-    selectConversationWithHighlightedPair(conversationId, pairId) {
-        this.data.currentConversationId = conversationId;
+    async selectConversationWithHighlightedPair(conversationId, pairId) {
+        await this.data.openConversation(conversationId);
         this.highlightedPairId = pairId;
         this.messageRenderer.highlightedPairId = pairId;
         this.updateUI();
@@ -580,10 +847,16 @@ class ChatGPTParserApp {
         if (conv) {
             document.getElementById('threadTitleInput').value = conv.title;
             this.messageRenderer.highlightedPairId = this.highlightedPairId;
-            this.messageRenderer.renderPairs(conv.pairs);
+            this.messageRenderer.renderPairs(conv.pairs || []);
+            // Project docs are read from storage, the conversation may have changed meanwhile
+            this.data.getConversationProject(conv).then(project => {
+                if (this.data.currentConversationId === conv.id) {
+                    this.messageRenderer.renderConversationDetails(conv.metadata, project);
+                }
+            });
 
             // Use QuestionNavigator module to populate dropdown and setup scroll observer
-            this.questionNavigator.populate(conv.pairs);
+            this.questionNavigator.populate(conv.pairs || []);
 
             // Setup mobile bottom navigation after rendering
             if (this.mobileUI.isMobile()) {
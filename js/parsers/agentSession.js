@@ -0,0 +1,385 @@
+// Agent Session Parser - Session transcripts of CLI coding agents (JSONL)
+// Claude Code writes one event per line with a sessionId and cwd
+// ({ type: 'user' | 'assistant', message, cwd, timestamp }); Codex CLI writes
+// { type: 'session_meta' | 'response_item' | 'event_msg', payload } lines, one file per session.
+// Shell commands and file edits become collapsible tool blocks.
+
+(() => {
+    const FORMAT_ID = 'agent_session';
+
+    const AGENTS = {
+        CLAUDE_CODE: 'Claude Code',
+        CODEX: 'Codex CLI'
+    };
+
+    const CODEX_LINE_TYPES = ['session_meta', 'response_item', 'event_msg', 'turn_context', 'compacted'];
+
+    // Context the agent injects as user messages, not typed by the user
+    const INJECTED_USER_TEXT = /^\s*<(environment_context|user_instructions|command-name|command-message|local-command-stdout|system-reminder)>/;
+
+    const getAgent = (line) => {
+        if (!line || typeof line !== 'object' || Array.isArray(line)) return null;
+        if (typeof line.sessionId === 'string' && ['user', 'assistant', 'system'].includes(line.type)) return AGENTS.CLAUDE_CODE;
+        if (line.payload && typeof line.payload === 'object' && CODEX_LINE_TYPES.includes(line.type)) return AGENTS.CODEX;
+        return null;
+    };
+
+    // Claude Code writes session titles as separate { type: 'summary', leafUuid } lines
+    const isSummaryLine = (line) => Boolean(line && line.type === 'summary' && line.leafUuid && typeof line.summary === 'string');
+
+    const toSeconds = (value) => {
+        const time = Date.parse(value);
+        return isNaN(time) ? null : time / 1000;
+    };
+
+    const parseJSONSafe = (text) => {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+    };
+
+    const getExtension = (path) => {
+        const match = (path || '').match(/\.([a-z0-9]+)$/i);
+        return match ? match[1].toLowerCase() : 'text';
+    };
+
+    // Old and new text of an edit as diff lines
+    const diffLines = (oldText, newText) => [
+        ...(oldText ? oldText.split('\n').map(line => `- ${line}`) : []),
+        ...(newText ? newText.split('\n').map(line => `+ ${line}`) : [])
+    ].join('\n');
+
+    // Files named in an apply_patch patch ("*** Update File: src/app.js")
+    const patchPaths = (patch) => Array.from(patch.matchAll(/^\*\*\* (?:Add|Update|Delete) File: (.+)$/gm), match => match[1].trim());
+
+    /**
+     * Text of a shell call's command: ["bash", "-lc", "ls"] -> "ls"
+     */
+    const readCommand = (command) => {
+        if (typeof command === 'string') return command;
+        if (!Array.isArray(command)) return '';
+        if (command.length === 3 && /^(ba|z)?sh$/.test(command[0]) && /^-l?c$/.test(command[1])) return command[2];
+        return command.join(' ');
+    };
+
+    const patchBlock = (patch) => ({
+        type: 'edit',
+        action: 'patch',
+        path: patchPaths(patch).join(', ') || 'patch',
+        language: 'diff',
+        content: patch,
+        output: null
+    });
+
+    /**
+     * Tool block for an agent tool call
+     * Shell commands and file edits get their own block types, other tools the generic one
+     */
+    const buildToolBlock = (name, input) => {
+        input = input || {};
+
+        if (name === 'Bash' || name === 'shell' || name === 'local_shell' || name === 'exec_command') {
+            const command = readCommand(input.command || input.cmd);
+            if (/^apply_patch\b/.test(command) || (Array.isArray(input.command) && input.command[0] === 'apply_patch')) {
+                return patchBlock(Array.isArray(input.command) ? input.command.slice(1).join('\n') : command);
+            }
+            return { type: 'shell', command: command, description: input.description || null, output: null };
+        }
+        if (name === 'apply_patch') {
+            return patchBlock(typeof input === 'string' ? input : (input.input || input.patch || ''));
+        }
+        if (name === 'Edit') {
+            return { type: 'edit', action: 'edit', path: input.file_path, language: 'diff', content: diffLines(input.old_string, input.new_string), output: null };
+        }
+        if (name === 'MultiEdit') {
+            const content = (input.edits || []).map(edit => diffLines(edit.old_string, edit.new_string)).join('\n\n');
+            return { type: 'edit', action: 'edit', path: input.file_path, language: 'diff', content: content, output: null };
+        }
+        if (name === 'Write') {
+            return { type: 'edit', action: 'create', path: input.file_path, language: getExtension(input.file_path), content: input.content || '', output: null };
+        }
+
+        return { type: 'tool', name: name || 'tool', input: JSON.stringify(input, null, 2), output: null };
+    };
+
+    const readResultText = (content) => {
+        if (typeof content === 'string') return content;
+        if (!Array.isArray(content)) return '';
+        return content.filter(item => item.type === 'text').map(item => item.text || '').join('\n');
+    };
+
+    /**
+     * Read Claude Code lines into session events
+     */
+    const readClaudeCodeLines = (lines, session) => {
+        lines.forEach(line => {
+            if (line.cwd && !session.workingDirectory) session.workingDirectory = line.cwd;
+            if (line.gitBranch && !session.gitBranch) session.gitBranch = line.gitBranch;
+            if (line.version) session.agentVersion = line.version;
+
+            // Sub-agent runs and injected context are not part of the visible conversation
+            if (line.isSidechain || line.isMeta || !line.message) return;
+
+            const time = toSeconds(line.timestamp);
+            const message = line.message;
+            const blocks = typeof message.content === 'string'
+                ? [{ type: 'text', text: message.content }]
+                : (Array.isArray(message.content) ? message.content : []);
+
+            if (line.type === 'user') {
+                const texts = [];
+                blocks.forEach(block => {
+                    if (block.type === 'tool_result') {
+                        session.events.push({ kind: 'result', callId: block.tool_use_id, output: readResultText(block.content), isError: Boolean(block.is_error) });
+                    } else if (block.type === 'text' && block.text && !INJECTED_USER_TEXT.test(block.text)) {
+                        texts.push(block.text);
+                    } else if (block.type === 'image') {
+                        texts.push('[Image]');
+                    }
+                });
+                if (texts.length > 0) {
+                    session.events.push({ kind: 'user', id: line.uuid, text: texts.join('\n\n'), time });
+                }
+                return;
+            }
+
+            if (line.type === 'assistant') {
+                const model = message.model && message.model !== '<synthetic>' ? message.model : null;
+                if (model) session.models.add(model);
+                if (message.id && message.usage) session.usages.set(message.id, message.usage);
+
+                blocks.forEach(block => {
+                    if (block.type === 'text' && block.text) {
+                        session.events.push({ kind: 'text', id: line.uuid, text: block.text, time, model, usage: message.usage || null });
+                    } else if (block.type === 'thinking' && block.thinking) {
+                        session.events.push({ kind: 'thinking', id: line.uuid, text: block.thinking, time, model });
+                    } else if (block.type === 'tool_use') {
+                        session.events.push({ kind: 'tool', id: line.uuid, callId: block.id, block: buildToolBlock(block.name, block.input), time, model });
+                    }
+                });
+            }
+        });
+    };
+
+    /**
+     * Read Codex CLI lines into session events
+     */
+    const readCodexLines = (lines, session) => {
+        let model = null;
+
+        lines.forEach((line, index) => {
+            const payload = line.payload;
+            const time = toSeconds(line.timestamp);
+            const id = `${session.id}_${index}`;
+
+            if (line.type === 'session_meta' || line.type === 'turn_context') {
+                if (payload.cwd) session.workingDirectory = payload.cwd;
+                if (payload.cli_version) session.agentVersion = payload.cli_version;
+                if (payload.git && payload.git.branch) session.gitBranch = payload.git.branch;
+                if (payload.model) {
+                    model = payload.model;
+                    session.models.add(model);
+                }
+                return;
+            }
+
+            if (line.type === 'event_msg') {
+                // Running token totals for the session
+                if (payload.type === 'token_count' && payload.info && payload.info.total_token_usage) {
+                    session.usages.set('total', payload.info.total_token_usage);
+                }
+                return;
+            }
+
+            if (line.type !== 'response_item') return;
+
+            if (payload.type === 'message') {
+                const text = (payload.content || [])
+                    .map(part => part.text || '')
+                    .filter(Boolean)
+                    .join('\n\n');
+                if (!text) return;
+
+                if (payload.role === 'user' && !INJECTED_USER_TEXT.test(text)) {
+                    session.events.push({ kind: 'user', id, text, time });
+                } else if (payload.role === 'assistant') {
+                    session.events.push({ kind: 'text', id, text, time, model, usage: null });
+                }
+            } else if (payload.type === 'reasoning') {
+                const text = (payload.summary || []).map(part => part.text || '').filter(Boolean).join('\n\n');
+                if (text) session.events.push({ kind: 'thinking', id, text, time, model });
+            } else if (payload.type === 'function_call' || payload.type === 'custom_tool_call' || payload.type === 'local_shell_call') {
+                const input = payload.type === 'local_shell_call'
+                    ? payload.action
+                    : (payload.type === 'custom_tool_call' ? payload.input : parseJSONSafe(payload.arguments) || { arguments: payload.arguments });
+                const name = payload.type === 'local_shell_call' ? 'local_shell' : payload.name;
+                session.events.push({ kind: 'tool', id, callId: payload.call_id || payload.id, block: buildToolBlock(name, input), time, model });
+            } else if (payload.type === 'function_call_output' || payload.type === 'custom_tool_call_output') {
+                // Shell output is { output, metadata: { exit_code } } as a JSON string
+                const raw = typeof payload.output === 'string' ? payload.output : JSON.stringify(payload.output);
+                const parsed = parseJSONSafe(raw);
+                const output = parsed && typeof parsed.output === 'string' ? parsed.output : raw;
+                const exitCode = parsed && parsed.metadata ? parsed.metadata.exit_code : null;
+                session.events.push({ kind: 'result', callId: payload.call_id, output, isError: Boolean(exitCode) });
+            }
+        });
+    };
+
+    /**
+     * Group session lines into conversation wrappers { id, title, agentSession: { agent, lines } }
+     * Claude Code lines are grouped by sessionId; Codex lines follow their session_meta line.
+     * Other records are returned unchanged
+     */
+    const groupSessionLines = (records, data) => {
+        if (!records.some(record => getAgent(record))) {
+            return records;
+        }
+
+        const sessions = new Map();
+        const summaries = new Map();
+        let codexKey = null;
+
+        records.forEach((line, index) => {
+            if (isSummaryLine(line)) {
+                summaries.set(line.leafUuid, line.summary);
+                return;
+            }
+
+            const agent = getAgent(line);
+            if (!agent) return;
+
+            let key;
+            if (agent === AGENTS.CLAUDE_CODE) {
+                key = `claude:${line.sessionId}`;
+            } else {
+                if (line.type === 'session_meta' || !codexKey) {
+                    codexKey = `codex:${line.payload.id || index}`;
+                }
+                key = codexKey;
+            }
+
+            if (!sessions.has(key)) {
+                sessions.set(key, { agent, lines: [] });
+            }
+            sessions.get(key).lines.push(line);
+        });
+
+        const wrappers = Array.from(sessions.entries()).map(([key, session]) => {
+            const summaryLine = session.lines.find(line => line.uuid && summaries.has(line.uuid));
+            return {
+                id: `agent_${data.hashString(key)}`,
+                title: summaryLine ? summaries.get(summaryLine.uuid) : null,
+                agentSession: session
+            };
+        });
+
+        return [...records.filter(record => !getAgent(record) && !isSummaryLine(record)), ...wrappers];
+    };
+
+    /**
+     * Build pairs from the session events
+     * Tool results are attached to their calls first, then each user prompt starts a pair
+     * and the agent's thinking, tool calls and replies become its answers
+     */
+    const parseSession = (conv, data) => {
+        const session = {
+            id: conv.id,
+            events: [],
+            models: new Set(),
+            usages: new Map(),
+            workingDirectory: null,
+            gitBranch: null,
+            agentVersion: null
+        };
+
+        if (conv.agentSession.agent === AGENTS.CLAUDE_CODE) {
+            readClaudeCodeLines(conv.agentSession.lines, session);
+        } else {
+            readCodexLines(conv.agentSession.lines, session);
+        }
+
+        const calls = new Map();
+        session.events.forEach(event => {
+            if (event.kind === 'tool' && event.callId) {
+                calls.set(event.callId, event.block);
+            } else if (event.kind === 'result') {
+                const block = calls.get(event.callId);
+                if (block) {
+                    block.output = event.isError ? `Error: ${event.output}` : event.output;
+                    block.isError = event.isError;
+                }
+            }
+        });
+
+        const pairs = [];
+        let pair = null;
+        let lastTime = null;
+
+        session.events.forEach(event => {
+            const timestamp = event.time ?? lastTime ?? Date.now() / 1000;
+            lastTime = timestamp;
+
+            if (event.kind === 'user') {
+                pair = {
+                    id: event.id || `pair_${pairs.length + 1}`,
+                    question: { id: event.id, role: 'user', content: event.text, timestamp, metadata: {} },
+                    answers: [],
+                    index: pairs.length + 1,
+                    starred: false
+                };
+                pairs.push(pair);
+                return;
+            }
+
+            if (event.kind === 'result' || !pair) {
+                if (event.kind !== 'result') data.reportSkippedMessage('empty');
+                return;
+            }
+
+            const answer = {
+                id: event.id,
+                role: 'assistant',
+                content: '',
+                timestamp,
+                ...(event.model ? data.getModelFields(event.model) : { model: conv.agentSession.agent }),
+                metadata: {}
+            };
+
+            if (event.kind === 'thinking') {
+                data.addAnswerToPair(pair, { ...answer, reasoning: { text: event.text, label: null } });
+            } else if (event.kind === 'tool') {
+                data.addAnswerToPair(pair, { ...answer, toolBlock: event.block });
+            } else {
+                data.addAnswerToPair(pair, { ...answer, content: event.text, metadata: { usage: data.normalizeUsage(event.usage) } });
+            }
+        });
+
+        const firstQuestion = pairs.length > 0 ? pairs[0].question.content : '';
+        const directoryName = (session.workingDirectory || '').split(/[\\/]/).filter(Boolean).pop();
+
+        return {
+            pairs: pairs,
+            createTime: pairs.length > 0 ? pairs[0].question.timestamp : Date.now() / 1000,
+            updateTime: lastTime || Date.now() / 1000,
+            source: 'agent_session',
+            title: conv.title || firstQuestion.split('\n')[0].substring(0, 60) || `${conv.agentSession.agent} session${directoryName ? ` in ${directoryName}` : ''}`,
+            metadata: {
+                provider: conv.agentSession.agent + (session.agentVersion ? ` ${session.agentVersion}` : ''),
+                workingDirectory: session.workingDirectory,
+                gitBranch: session.gitBranch,
+                models: Array.from(session.models).map(model => data.formatModelName(model)),
+                usage: data.sumUsage(Array.from(session.usages.values()).map(usage => data.normalizeUsage(usage)))
+            }
+        };
+    };
+
+    ChatGPTData.registerFormat({
+        id: FORMAT_ID,
+        priority: 50,
+        detect: (conv) => Boolean(conv.agentSession && Array.isArray(conv.agentSession.lines)),
+        parse: parseSession,
+        group: groupSessionLines
+    });
+})();
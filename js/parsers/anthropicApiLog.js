@@ -0,0 +1,182 @@
+// Anthropic API Log Parser - Messages API request logs (JSONL)
+// Each log line is one API call and becomes one conversation: { request, response },
+// a Batch API request ({ custom_id, params }) or result ({ custom_id, result: { message } }).
+// Content blocks go through the Claude export handling (parseClaudeMessages).
+
+(() => {
+    const FORMAT_ID = 'anthropic_api_log';
+
+    // Convert seconds, milliseconds or an ISO date to seconds
+    const toSeconds = (value) => {
+        if (value === undefined || value === null || value === '') return null;
+        if (typeof value === 'number') return value > 1e12 ? value / 1000 : value;
+        const time = Date.parse(value);
+        return isNaN(time) ? null : time / 1000;
+    };
+
+    const isApiMessage = (message) => Boolean(message && message.type === 'message' && Array.isArray(message.content));
+
+    /**
+     * Split a log line into the API request, the response message and the time of the call
+     */
+    const readLogLine = (line) => {
+        const request = line.request || line.params || (Array.isArray(line.messages) ? line : {});
+        const candidates = [
+            line.result && line.result.message,
+            line.response && line.response.body,
+            line.response
+        ];
+        const response = candidates.find(isApiMessage) || null;
+        const time = toSeconds(line.timestamp ?? line.created_at ?? line.time ?? line.date);
+
+        return { request, response, time };
+    };
+
+    /**
+     * A log line has a Messages API response, or is a Batch API request line
+     */
+    const isLogLine = (line) => {
+        if (!line || typeof line !== 'object' || Array.isArray(line)) return false;
+
+        const { request, response } = readLogLine(line);
+        return Boolean(response || (line.custom_id && line.params && Array.isArray(request.messages)));
+    };
+
+    const toBlocks = (content) => {
+        if (typeof content === 'string') return [{ type: 'text', text: content }];
+        return Array.isArray(content) ? content : [];
+    };
+
+    const hasText = (blocks) => blocks.some(block => block.type === 'text' && block.text && block.text.trim());
+
+    /**
+     * Turn API messages into Claude export chat_messages
+     * Tool results arrive in user messages; they are moved into the assistant turn that made
+     * the calls, so one pair holds the whole tool loop and results meet their tool_use blocks
+     */
+    const buildChatMessages = (messages, idPrefix, createdAt) => {
+        const chatMessages = [];
+
+        messages.forEach(msg => {
+            const blocks = toBlocks(msg.content);
+            const last = chatMessages[chatMessages.length - 1];
+            const { content, ...fields } = msg;
+
+            if (msg.role === 'assistant' && last && last.role === 'assistant') {
+                // Continued turn (after tool results, or a prefilled response)
+                if (hasText(last.content) && hasText(blocks)) {
+                    last.content.push({ type: 'text', text: '\n\n' });
+                }
+                last.content.push(...blocks);
+                Object.assign(last, fields);
+                return;
+            }
+
+            const results = blocks.filter(block => block.type === 'tool_result');
+            const rest = blocks.filter(block => block.type !== 'tool_result');
+            if (msg.role === 'user' && results.length > 0 && last && last.role === 'assistant') {
+                last.content.push(...results);
+                if (rest.length === 0) return;
+            }
+
+            // Images and documents are shown as file markers, like Claude export uploads
+            const files = rest
+                .filter(block => block.type === 'image' || block.type === 'document')
+                .map(block => ({ file_name: block.title || block.type }));
+
+            chatMessages.push({
+                ...fields,
+                uuid: `${idPrefix}_${chatMessages.length}`,
+                created_at: createdAt,
+                content: msg.role === 'user' ? rest : blocks,
+                files: files
+            });
+        });
+
+        return chatMessages;
+    };
+
+    const readSystemPrompt = (system) => {
+        if (typeof system === 'string') return system;
+        if (Array.isArray(system)) return system.map(block => block.text || '').join('\n\n');
+        return null;
+    };
+
+    /**
+     * Wrap each log line as its own conversation { id, anthropicApiLog }
+     * Batch API requests and results with the same custom_id are joined into one call.
+     * Other records are returned unchanged
+     */
+    const wrapLogLines = (records, data) => {
+        const lines = records.filter(isLogLine);
+        if (lines.length === 0) {
+            return records;
+        }
+
+        const calls = [];
+        const batchCalls = new Map();
+        lines.forEach(line => {
+            const existing = line.custom_id ? batchCalls.get(line.custom_id) : null;
+            if (existing) {
+                Object.assign(existing, line);
+                return;
+            }
+            const call = { ...line };
+            calls.push(call);
+            if (line.custom_id) batchCalls.set(line.custom_id, call);
+        });
+
+        const wrappers = calls.map(call => {
+            const { response } = readLogLine(call);
+            const seed = call.custom_id || (response && response.id) || JSON.stringify(call);
+            return { id: `anthropic_log_${data.hashString(seed)}`, anthropicApiLog: call };
+        });
+
+        return [...records.filter(record => !isLogLine(record)), ...wrappers];
+    };
+
+    const parseApiLog = (conv, data) => {
+        const { request, response, time } = readLogLine(conv.anthropicApiLog);
+        const timestamp = time ?? Date.now() / 1000;
+        const model = (response && response.model) || request.model || null;
+        const usage = data.normalizeUsage(response && response.usage);
+        const stopReason = (response && response.stop_reason) || null;
+
+        const messages = [...(request.messages || [])];
+        if (messages.length === 0 || messages[0].role !== 'user') {
+            // Batch results logged without their request still keep the answer
+            messages.unshift({ role: 'user', content: '[No user message]' });
+        }
+        if (response) {
+            messages.push({ role: 'assistant', content: response.content, model: model, usage: usage, stopReason: stopReason });
+        }
+
+        const chatMessages = buildChatMessages(messages, conv.id, new Date(timestamp * 1000).toISOString());
+        const pairs = data.parseClaudeMessages(chatMessages, model);
+
+        const firstQuestion = request.messages && pairs.length > 0 ? pairs[0].question.content : '';
+
+        return {
+            pairs: pairs,
+            createTime: timestamp,
+            updateTime: timestamp,
+            source: 'anthropic_api',
+            title: firstQuestion.split('\n')[0].substring(0, 60) || 'API request',
+            metadata: {
+                provider: 'Anthropic API',
+                models: model ? [data.formatModelName(model)] : [],
+                systemPrompt: readSystemPrompt(request.system),
+                usage: usage,
+                stopReason: stopReason
+            }
+        };
+    };
+
+    ChatGPTData.registerFormat({
+        id: FORMAT_ID,
+        priority: 50,
+        detect: (conv) => Boolean(conv.anthropicApiLog),
+        parse: parseApiLog,
+        group: wrapLogLines
+    });
+})();
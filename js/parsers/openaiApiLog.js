@@ -0,0 +1,439 @@
+// OpenAI API Log Parser - Chat Completions / Responses API request logs (JSONL)
+// Each log line is one API call: { request, response }, a flat line with messages and
+// choices together, or a Batch API output line ({ custom_id, response: { body } }).
+// Lines are grouped into conversations by a key (data.importOptions.logGroupKey), by
+// previous_response_id, or by one call's messages continuing another call's history.
+
+(() => {
+    const FORMAT_ID = 'openai_api_log';
+
+    // Convert seconds, milliseconds or an ISO date to seconds
+    const toSeconds = (value) => {
+        if (value === undefined || value === null || value === '') return null;
+        if (typeof value === 'number') return value > 1e12 ? value / 1000 : value;
+        const time = Date.parse(value);
+        return isNaN(time) ? null : time / 1000;
+    };
+
+    /**
+     * Split a log line into the API request, the response and the time of the call
+     */
+    const readLogLine = (line) => {
+        const request = line.request || line.body ||
+            (Array.isArray(line.messages) || line.input !== undefined ? line : {});
+        let response = line.response && line.response.body ? line.response.body : line.response;
+        if (!response && (Array.isArray(line.choices) || Array.isArray(line.output))) {
+            response = line;
+        }
+        response = response && typeof response === 'object' ? response : null;
+
+        const time = toSeconds(line.timestamp ?? line.created_at ?? line.time ?? line.date) ??
+            toSeconds(response && (response.created ?? response.created_at));
+
+        return { request, response, time };
+    };
+
+    /**
+     * A log line has an API response, or is a Batch API request line
+     * Plain { messages } objects are left to the simple format
+     */
+    const isLogLine = (line) => {
+        if (!line || typeof line !== 'object' || Array.isArray(line)) return false;
+
+        const { request, response } = readLogLine(line);
+        const hasRequest = Array.isArray(request.messages) || request.input !== undefined;
+        const hasResponse = response && (Array.isArray(response.choices) || Array.isArray(response.output));
+        return Boolean(hasResponse || (line.custom_id && line.body && hasRequest));
+    };
+
+    /**
+     * Text and image count of Chat / Responses content (a string or a list of parts)
+     */
+    const readContent = (content) => {
+        if (typeof content === 'string') return { text: content, images: 0 };
+        if (!Array.isArray(content)) return { text: '', images: 0 };
+
+        const texts = [];
+        let images = 0;
+        content.forEach(part => {
+            if (typeof part === 'string') {
+                texts.push(part);
+            } else if (part.type === 'image_url' || part.type === 'input_image') {
+                images++;
+            } else if (part.type === 'input_file') {
+                texts.push(`[File: ${part.filename || 'attachment'}]`);
+            } else if (part.refusal) {
+                texts.push(part.refusal);
+            } else if (typeof part.text === 'string') {
+                texts.push(part.text);
+            }
+        });
+        return { text: texts.join('\n\n'), images };
+    };
+
+    const readToolCall = (call) => ({
+        id: call.id || call.call_id || null,
+        name: (call.function && call.function.name) || call.name || 'tool',
+        input: (call.function && call.function.arguments) || call.arguments || ''
+    });
+
+    /**
+     * Messages sent in a request, as { role, text, images, toolCalls, toolCallId }
+     */
+    const readRequestMessages = (request) => {
+        const messages = [];
+
+        if (request.instructions) {
+            messages.push({ role: 'system', text: request.instructions, images: 0, toolCalls: [] });
+        }
+
+        const add = (role, content, extra = {}) => {
+            messages.push({ role: role === 'developer' ? 'system' : role, ...readContent(content), toolCalls: [], ...extra });
+        };
+
+        if (Array.isArray(request.messages)) {
+            request.messages.forEach(msg => {
+                const calls = msg.tool_calls || (msg.function_call ? [msg.function_call] : []);
+                add(msg.role, msg.content, { toolCalls: calls.map(readToolCall), toolCallId: msg.tool_call_id || null });
+            });
+        } else if (typeof request.input === 'string') {
+            add('user', request.input);
+        } else if (Array.isArray(request.input)) {
+            request.input.forEach(item => {
+                if (item.type === 'function_call') {
+                    add('assistant', '', { toolCalls: [readToolCall(item)] });
+                } else if (item.type === 'function_call_output') {
+                    add('tool', typeof item.output === 'string' ? item.output : JSON.stringify(item.output), { toolCallId: item.call_id });
+                } else if (item.role) {
+                    add(item.role, item.content);
+                }
+            });
+        }
+
+        return messages;
+    };
+
+    /**
+     * The assistant reply of a response, or null (e.g. failed or request-only lines)
+     */
+    const readReply = (response) => {
+        if (!response) return null;
+
+        if (Array.isArray(response.choices)) {
+            const choice = response.choices[0];
+            if (!choice || !choice.message) return null;
+            const calls = choice.message.tool_calls || (choice.message.function_call ? [choice.message.function_call] : []);
+            return {
+                role: 'assistant',
+                ...readContent(choice.message.content ?? choice.message.refusal),
+                toolCalls: calls.map(readToolCall),
+                reasoning: choice.message.reasoning_content || choice.message.reasoning || null,
+                finishReason: choice.finish_reason || null
+            };
+        }
+
+        if (Array.isArray(response.output)) {
+            const texts = [];
+            const toolCalls = [];
+            const reasoning = [];
+            response.output.forEach(item => {
+                if (item.type === 'message') {
+                    texts.push(readContent(item.content).text);
+                } else if (item.type === 'function_call') {
+                    toolCalls.push(readToolCall(item));
+                } else if (item.type === 'reasoning') {
+                    (item.summary || []).forEach(part => reasoning.push(part.text));
+                } else if (item.type && item.type.endsWith('_call')) {
+                    // Built-in tools (web_search_call, file_search_call, ...)
+                    toolCalls.push({ id: item.id, name: item.type.replace(/_call$/, ''), input: item.action ? JSON.stringify(item.action) : '' });
+                }
+            });
+            return {
+                role: 'assistant',
+                text: texts.join('\n\n'),
+                images: 0,
+                toolCalls: toolCalls,
+                reasoning: reasoning.filter(Boolean).join('\n\n') || null,
+                finishReason: (response.incomplete_details && response.incomplete_details.reason) || response.status || null
+            };
+        }
+
+        return null;
+    };
+
+    // Identity of a message, for matching one call's history against another's
+    const messageKey = (msg) => [
+        msg.role,
+        msg.text,
+        msg.toolCallId || '',
+        ...msg.toolCalls.map(call => `${call.name}(${call.input})`)
+    ].join('\u0000');
+
+    // Hash of each prefix of a message list, so continuing histories can be found quickly
+    const prefixHashes = (messages, data) => {
+        let hash = '';
+        return messages.map(msg => {
+            hash = data.hashString(`${hash}\u0001${messageKey(msg)}`);
+            return hash;
+        });
+    };
+
+    // Read a dotted path ("metadata.conversation_id") from the line, its request or its body
+    const readKey = (line, path) => {
+        for (const root of [line, line.request, line.body]) {
+            const value = path.split('.').reduce((obj, name) => (obj && typeof obj === 'object' ? obj[name] : undefined), root);
+            if (value !== undefined && value !== null && value !== '') return String(value);
+        }
+        return null;
+    };
+
+    /**
+     * Group log lines into conversation wrappers { id, openaiApiLog: { lines, key } }
+     * Other records are returned unchanged
+     */
+    const groupLogLines = (records, data) => {
+        const lines = records.filter(isLogLine);
+        if (lines.length === 0) {
+            return records;
+        }
+
+        const groupKey = (data.importOptions.logGroupKey || '').trim();
+        const entries = lines
+            .map((line, order) => ({ line, order, ...readLogLine(line) }))
+            .sort((a, b) => ((a.time ?? 0) - (b.time ?? 0)) || (a.order - b.order));
+
+        const groups = [];
+        const byKey = new Map();
+        const byHistory = new Map();
+        const byResponseId = new Map();
+
+        entries.forEach(entry => {
+            const key = groupKey ? readKey(entry.line, groupKey) : null;
+            const messages = readRequestMessages(entry.request);
+            const reply = readReply(entry.response);
+            const hashes = prefixHashes(messages, data);
+            let group = null;
+
+            if (key !== null) {
+                group = byKey.get(key);
+            } else {
+                if (entry.request.previous_response_id) {
+                    group = byResponseId.get(entry.request.previous_response_id);
+                }
+                // Longest earlier history (or identical request) this call continues
+                for (let i = hashes.length - 1; i >= 0 && !group; i--) {
+                    group = byHistory.get(hashes[i]);
+                }
+            }
+
+            if (!group) {
+                group = { key, lines: [] };
+                groups.push(group);
+                if (key !== null) byKey.set(key, group);
+            }
+            group.lines.push(entry.line);
+
+            if (hashes.length > 0) {
+                byHistory.set(hashes[hashes.length - 1], group);
+                if (reply) {
+                    byHistory.set(prefixHashes([...messages, reply], data).pop(), group);
+                }
+            }
+            if (entry.response && entry.response.id) {
+                byResponseId.set(entry.response.id, group);
+            }
+        });
+
+        const wrappers = groups.map(group => {
+            const first = readLogLine(group.lines[0]);
+            const seed = group.key !== null
+                ? `key:${group.key}`
+                : (first.response && first.response.id) || JSON.stringify(group.lines[0]);
+            return {
+                id: `openai_log_${data.hashString(seed)}`,
+                openaiApiLog: { lines: group.lines, key: group.key }
+            };
+        });
+
+        return [...records.filter(record => !isLogLine(record)), ...wrappers];
+    };
+
+    /**
+     * Add an assistant message: tool calls become collapsible tool blocks,
+     * reasoning the thinking section, then the text answer takes them over
+     */
+    const addReply = (pair, msg, answer, data) => {
+        const base = {
+            id: answer.id,
+            role: 'assistant',
+            content: '',
+            timestamp: answer.timestamp,
+            ...data.getModelFields(answer.model, 'GPT'),
+            metadata: answer.metadata
+        };
+
+        if (msg.reasoning) {
+            data.addAnswerToPair(pair, { ...base, reasoning: { text: msg.reasoning, label: null } });
+        }
+        msg.toolCalls.forEach(call => {
+            data.addAnswerToPair(pair, {
+                ...base,
+                toolBlock: { type: 'tool', name: call.name, input: call.input || null, output: null, callId: call.id }
+            });
+        });
+        if (msg.text || msg.toolCalls.length === 0) {
+            data.addAnswerToPair(pair, { ...base, content: msg.text || '' });
+        }
+    };
+
+    /**
+     * Put a tool result next to the call it answers (matched by call id)
+     */
+    const addToolResult = (pair, msg, data, timestamp) => {
+        const lastIndex = pair.answers.length - 1;
+        const last = pair.answers[lastIndex];
+        const blockIndex = last && last.toolBlocks && msg.toolCallId
+            ? last.toolBlocks.findIndex(block => block.callId === msg.toolCallId)
+            : -1;
+
+        if (blockIndex !== -1) {
+            pair.answers[lastIndex] = {
+                ...last,
+                toolBlocks: last.toolBlocks.map((block, i) => (i === blockIndex ? { ...block, output: msg.text } : block))
+            };
+            return;
+        }
+
+        data.addAnswerToPair(pair, {
+            id: null,
+            role: 'assistant',
+            content: '',
+            timestamp: timestamp,
+            model: data.formatModelName('GPT'),
+            metadata: {},
+            toolBlock: { type: 'tool', name: 'tool', input: null, output: msg.text }
+        });
+    };
+
+    /**
+     * Build pairs from the grouped calls, keeping system prompts, models and token usage
+     */
+    const parseApiLog = (conv, data) => {
+        const pairs = [];
+        const systemPrompts = [];
+        const models = [];
+        const usages = [];
+        let pair = null;
+        let history = [];
+        let lastTime = null;
+
+        const startPair = (question) => {
+            pair = { id: `pair_${pairs.length + 1}`, question, answers: [], index: pairs.length + 1, starred: false };
+            pairs.push(pair);
+        };
+
+        const ensurePair = (timestamp) => {
+            if (!pair) {
+                // Calls with only a system prompt still have an answer worth keeping
+                startPair({ id: null, role: 'user', content: '[No user message]', timestamp, metadata: {} });
+            }
+        };
+
+        conv.openaiApiLog.lines.forEach((line, lineIndex) => {
+            const { request, response, time } = readLogLine(line);
+            const timestamp = time ?? lastTime ?? Date.now() / 1000;
+            lastTime = timestamp;
+
+            const messages = readRequestMessages(request);
+            const keys = messages.map(messageKey);
+
+            // Only the messages this call adds to the history so far
+            let added;
+            if (request.previous_response_id) {
+                added = messages;
+                history = [...history, ...keys];
+            } else {
+                let shared = 0;
+                while (shared < keys.length && shared < history.length && keys[shared] === history[shared]) {
+                    shared++;
+                }
+                added = messages.slice(shared);
+                history = keys;
+            }
+
+            added.forEach((msg, msgIndex) => {
+                const id = `${conv.id}_${lineIndex}_${msgIndex}`;
+
+                if (msg.role === 'system') {
+                    if (msg.text && !systemPrompts.includes(msg.text)) {
+                        systemPrompts.push(msg.text);
+                    }
+                } else if (msg.role === 'user') {
+                    startPair({
+                        id: id,
+                        role: 'user',
+                        content: msg.text,
+                        timestamp: timestamp,
+                        metadata: {},
+                        attachments: msg.images > 0
+                            ? Array.from({ length: msg.images }, () => ({ name: 'Image', mimeType: 'image/*' }))
+                            : undefined
+                    });
+                } else if (msg.role === 'tool') {
+                    ensurePair(timestamp);
+                    addToolResult(pair, msg, data, timestamp);
+                } else {
+                    // Earlier assistant turns replayed in the request (e.g. history from another client)
+                    ensurePair(timestamp);
+                    addReply(pair, msg, { id, timestamp, model: request.model, metadata: {} }, data);
+                }
+            });
+
+            const reply = readReply(response);
+            if (reply) {
+                const model = (response && response.model) || request.model;
+                const usage = data.normalizeUsage(response && response.usage);
+                const formattedModel = data.formatModelName(model || 'GPT');
+                if (!models.includes(formattedModel)) models.push(formattedModel);
+                usages.push(usage);
+
+                ensurePair(timestamp);
+                addReply(pair, reply, {
+                    id: (response && response.id) || `${conv.id}_${lineIndex}_reply`,
+                    timestamp: timestamp,
+                    model: model,
+                    metadata: { usage: usage, finishReason: reply.finishReason }
+                }, data);
+
+                history = [...history, messageKey(reply)];
+            }
+        });
+
+        const firstQuestion = pairs.find(p => p.question.id);
+        const title = firstQuestion ? firstQuestion.question.content.split('\n')[0].substring(0, 60) : null;
+
+        return {
+            pairs: pairs,
+            createTime: pairs.length > 0 ? pairs[0].question.timestamp : Date.now() / 1000,
+            updateTime: lastTime || Date.now() / 1000,
+            source: 'openai_api',
+            title: title || 'API conversation',
+            metadata: {
+                provider: 'OpenAI API',
+                models: models,
+                systemPrompt: systemPrompts.join('\n\n---\n\n') || null,
+                usage: data.sumUsage(usages),
+                apiCalls: conv.openaiApiLog.lines.length,
+                groupKey: conv.openaiApiLog.key
+            }
+        };
+    };
+
+    ChatGPTData.registerFormat({
+        id: FORMAT_ID,
+        priority: 50,
+        detect: (conv) => conv.openaiApiLog && Array.isArray(conv.openaiApiLog.lines),
+        parse: parseApiLog,
+        group: groupLogLines
+    });
+})();
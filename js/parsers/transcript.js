@@ -0,0 +1,199 @@
+// Transcript Parser - Plain Markdown / text chat transcripts
+// Reads "User:" / "Assistant:" style transcripts (also "**User:**" and "## User" headings)
+// pasted into notes or saved from tools without an export.
+// Files are wrapped by the importer as { id, transcript: { text, fileName, lastModified, speakers } }
+
+(() => {
+    // Speaker markers used unless the user configures others
+    // Single letters (Q, A) only match in the case given, so "a: first" in a list stays text
+    const DEFAULT_SPEAKERS = {
+        user: ['User', 'You', 'Me', 'Human', 'Question', 'Q'],
+        assistant: ['Assistant', 'AI', 'ChatGPT', 'GPT', 'Claude', 'Gemini', 'DeepSeek', 'Copilot', 'Bot', 'Answer', 'A']
+    };
+
+    const MONTHS = 'Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:tember)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?';
+
+    // "2024-03-05", "2024-03-05 14:22", "2024-03-05T14:22:10Z"
+    const ISO_DATE = /\b(\d{4}-\d{2}-\d{2})(?:[ T](\d{1,2}:\d{2}(?::\d{2})?(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?))?\b/;
+
+    // "March 5, 2024", "Mar 5 2024 2:22 PM"
+    const NAMED_DATE = new RegExp(`\\b(?:${MONTHS})\\.? \\d{1,2},? \\d{4}(?:,? (?:at )?\\d{1,2}:\\d{2}(?::\\d{2})?(?: ?[AaPp][Mm])?)?`);
+
+    const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    /**
+     * Heading and label patterns for a list of speaker names
+     */
+    const buildSpeakerPatterns = (names, flags) => {
+        if (names.length === 0) return [null, null];
+
+        const alternatives = names
+            .sort((a, b) => b.length - a.length)
+            .map(escapeRegExp)
+            .join('|');
+        return [
+            // The heading rest may start with a date or time: "## User 2024-03-05 14:22"
+            new RegExp(`^\\s*#{1,6}\\s+(?:\\*\\*|__)?(${alternatives})(?:\\*\\*|__)?\\s*(?:[:：]|[-–—(]|\\s(?=\\d|(?:${MONTHS})\\b)|$)(.*)$`, flags),
+            new RegExp(`^\\s*(?:\\*\\*|__)?(${alternatives})(?:\\*\\*|__)?\\s*[:：](?:\\*\\*|__)?\\s?(.*)$`, flags)
+        ];
+    };
+
+    /**
+     * Build a matcher for speaker lines from the configured markers
+     * Matches "User: text", "**User:** text", "**User**: text" and "## User" headings
+     */
+    const buildSpeakerMatcher = (speakers) => {
+        const names = [...speakers.user, ...speakers.assistant].filter(Boolean);
+        const [heading, label, letterHeading, letterLabel] = [
+            ...buildSpeakerPatterns(names.filter(name => name.length > 1), 'i'),
+            ...buildSpeakerPatterns(names.filter(name => name.length === 1), '')
+        ];
+        const patterns = [heading, letterHeading, label, letterLabel].filter(Boolean);
+        const userNames = new Set(speakers.user.map(name => name.toLowerCase()));
+
+        return (line) => {
+            const match = patterns.reduce((found, pattern) => found || line.match(pattern), null);
+            if (!match) return null;
+            return {
+                role: userNames.has(match[1].toLowerCase()) ? 'user' : 'assistant',
+                name: match[1],
+                isHeading: /^\s*#/.test(line),
+                rest: match[2] || ''
+            };
+        };
+    };
+
+    /**
+     * Read a timestamp (seconds) from heading text, or null
+     */
+    const extractTimestamp = (text) => {
+        const iso = text.match(ISO_DATE);
+        if (iso) {
+            const time = Date.parse(iso[2] ? `${iso[1]}T${iso[2]}` : `${iso[1]}T00:00`);
+            if (!isNaN(time)) return time / 1000;
+        }
+
+        const named = text.match(NAMED_DATE);
+        if (named) {
+            const time = Date.parse(named[0].replace(/ at /, ' ').replace(/(\d)([AaPp][Mm])$/, '$1 $2'));
+            if (!isNaN(time)) return time / 1000;
+        }
+
+        return null;
+    };
+
+    const parseTranscript = (conv, data) => {
+        const { text, fileName, lastModified } = conv.transcript;
+        const speakers = conv.transcript.speakers || DEFAULT_SPEAKERS;
+        const matchSpeaker = buildSpeakerMatcher(speakers);
+        const fallbackTime = lastModified ? lastModified / 1000 : Date.now() / 1000;
+
+        const messages = [];
+        let current = null;
+        let currentTime = null;
+        let title = null;
+        let inCodeBlock = false;
+
+        const finishMessage = () => {
+            if (current) {
+                current.content = current.lines.join('\n').trim();
+                delete current.lines;
+                if (current.content) {
+                    messages.push(current);
+                }
+                current = null;
+            }
+        };
+
+        text.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+            // Speaker markers inside code blocks are part of the message
+            if (/^\s*(```|~~~)/.test(line)) {
+                inCodeBlock = !inCodeBlock;
+            }
+
+            const speaker = inCodeBlock ? null : matchSpeaker(line);
+            const isHeading = !inCodeBlock && /^\s*#{1,6}\s/.test(line);
+
+            if (speaker) {
+                finishMessage();
+                const time = speaker.isHeading ? extractTimestamp(speaker.rest) : null;
+                if (time) currentTime = time;
+
+                current = {
+                    id: `msg_${messages.length + 1}`,
+                    role: speaker.role,
+                    metadata: { speaker: speaker.name },
+                    timestamp: currentTime,
+                    // Heading rest is a timestamp or label, label rest is the first line of the message
+                    lines: speaker.isHeading ? [] : [speaker.rest]
+                };
+                return;
+            }
+
+            // Other headings with a date start a new section of the transcript
+            if (isHeading) {
+                const time = extractTimestamp(line);
+                if (time) {
+                    currentTime = time;
+                    if (current && !current.lines.some(l => l.trim())) {
+                        current.timestamp = time;
+                    } else {
+                        finishMessage();
+                    }
+                    return;
+                }
+                if (!current && !title) {
+                    title = line.replace(/^\s*#+\s*/, '').trim();
+                    return;
+                }
+            }
+
+            if (current) {
+                current.lines.push(line);
+            }
+        });
+        finishMessage();
+
+        if (messages.length === 0) {
+            throw new Error(`No speaker markers found in ${fileName || 'transcript'} (expected e.g. "User:" and "Assistant:")`);
+        }
+
+        // Pairs start at a question, answers before the first one have nothing to belong to
+        const firstQuestion = messages.findIndex(msg => msg.role === 'user');
+        if (firstQuestion === -1) {
+            throw new Error(`No user messages found in ${fileName || 'transcript'}, only answers`);
+        }
+        for (let i = 0; i < firstQuestion; i++) {
+            data.reportSkippedMessage('noQuestion');
+        }
+
+        // Messages before the first dated heading take that date, or the file's date
+        const firstTime = messages.find(msg => msg.timestamp)?.timestamp || fallbackTime;
+        messages.forEach(msg => {
+            if (!msg.timestamp) msg.timestamp = firstTime;
+        });
+
+        // A transcript names speakers, not models, so answers get no model badge
+        const pairs = data.convertMessagesToPairs(messages);
+        pairs.forEach(pair => pair.answers.forEach(answer => {
+            delete answer.model;
+        }));
+
+        const times = messages.map(msg => msg.timestamp);
+        return {
+            pairs: pairs,
+            createTime: Math.min(...times),
+            updateTime: Math.max(...times),
+            source: 'transcript',
+            title: title || (fileName ? fileName.replace(/\.[^.]+$/, '') : 'Transcript')
+        };
+    };
+
+    ChatGPTData.registerFormat({
+        id: 'transcript',
+        priority: 30,
+        defaultSpeakers: DEFAULT_SPEAKERS,
+        detect: (conv) => conv.transcript && typeof conv.transcript.text === 'string',
+        parse: parseTranscript
+    });
+})();
@@ -41,4 +41,14 @@ export class HtmlUtils {
         }
         return text.substring(0, maxLength) + '...';
     }
+
+    /**
+     * Format a byte count, e.g. 1536 -> "1.5 KB"
+     */
+    static formatFileSize(bytes) {
+        if (!bytes) return '0 B';
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
 }
@@ -0,0 +1,161 @@
+/**
+ * ZIP Reader - Reads entries from a ZIP file in the browser
+ * Supports stored and deflated entries (including ZIP64) using DecompressionStream,
+ * and only reads the parts of the file that are needed
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+export class ZipReader {
+    constructor(file, entries) {
+        this.file = file;
+        this.entries = entries;
+    }
+
+    /**
+     * Open a ZIP file and read its central directory
+     * @param {Blob} file - ZIP file
+     * @returns {Promise<ZipReader>}
+     */
+    static async open(file) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot read ZIP files. Please extract the export and import conversations.json instead.');
+        }
+
+        // End of central directory is in the last 22 bytes + up to 64 KB comment
+        const tailSize = Math.min(file.size, 22 + 0xffff + 20);
+        const tail = await ZipReader.readBytes(file, file.size - tailSize, tailSize);
+        const view = new DataView(tail.buffer);
+
+        let eocd = -1;
+        for (let i = tail.length - 22; i >= 0; i--) {
+            if (view.getUint32(i, true) === EOCD_SIGNATURE) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) {
+            throw new Error('Not a valid ZIP file');
+        }
+
+        let entryCount = view.getUint16(eocd + 10, true);
+        let directorySize = view.getUint32(eocd + 12, true);
+        let directoryOffset = view.getUint32(eocd + 16, true);
+
+        // ZIP64: the real values live in the ZIP64 end of central directory record
+        const locator = eocd - 20;
+        if (locator >= 0 && view.getUint32(locator, true) === ZIP64_EOCD_LOCATOR_SIGNATURE) {
+            const zip64Offset = ZipReader.readUint64(view, locator + 8);
+            const zip64 = new DataView((await ZipReader.readBytes(file, zip64Offset, 56)).buffer);
+            if (zip64.getUint32(0, true) === ZIP64_EOCD_SIGNATURE) {
+                entryCount = ZipReader.readUint64(zip64, 32);
+                directorySize = ZipReader.readUint64(zip64, 40);
+                directoryOffset = ZipReader.readUint64(zip64, 48);
+            }
+        }
+
+        const directory = await ZipReader.readBytes(file, directoryOffset, directorySize);
+        return new ZipReader(file, ZipReader.parseCentralDirectory(directory, entryCount));
+    }
+
+    /**
+     * Parse central directory records into entry descriptors
+     */
+    static parseCentralDirectory(bytes, entryCount) {
+        const view = new DataView(bytes.buffer);
+        const utf8 = new TextDecoder('utf-8');
+        const entries = [];
+        let pos = 0;
+
+        for (let i = 0; i < entryCount && pos + 46 <= bytes.length; i++) {
+            if (view.getUint32(pos, true) !== CENTRAL_HEADER_SIGNATURE) {
+                break;
+            }
+
+            const method = view.getUint16(pos + 10, true);
+            let compressedSize = view.getUint32(pos + 20, true);
+            let size = view.getUint32(pos + 24, true);
+            const nameLength = view.getUint16(pos + 28, true);
+            const extraLength = view.getUint16(pos + 30, true);
+            const commentLength = view.getUint16(pos + 32, true);
+            let localHeaderOffset = view.getUint32(pos + 42, true);
+
+            const name = utf8.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+
+            // ZIP64 extra field holds the 64-bit values that overflowed
+            let extra = pos + 46 + nameLength;
+            const extraEnd = extra + extraLength;
+            while (extra + 4 <= extraEnd) {
+                const headerId = view.getUint16(extra, true);
+                const dataSize = view.getUint16(extra + 2, true);
+                if (headerId === 0x0001) {
+                    let field = extra + 4;
+                    if (size === 0xffffffff) { size = ZipReader.readUint64(view, field); field += 8; }
+                    if (compressedSize === 0xffffffff) { compressedSize = ZipReader.readUint64(view, field); field += 8; }
+                    if (localHeaderOffset === 0xffffffff) { localHeaderOffset = ZipReader.readUint64(view, field); }
+                }
+                extra += 4 + dataSize;
+            }
+
+            if (!name.endsWith('/')) {
+                entries.push({ name, method, compressedSize, size, localHeaderOffset });
+            }
+
+            pos = extraEnd + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Read an entry as a Blob
+     * @param {Object} entry - Entry from this.entries
+     * @param {string} type - MIME type of the resulting Blob
+     */
+    async readBlob(entry, type = '') {
+        const header = new DataView((await ZipReader.readBytes(this.file, entry.localHeaderOffset, 30)).buffer);
+        if (header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+            throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+        }
+
+        const dataStart = entry.localHeaderOffset + 30 +
+            header.getUint16(26, true) + header.getUint16(28, true);
+        const data = this.file.slice(dataStart, dataStart + entry.compressedSize);
+
+        if (entry.method === METHOD_STORED) {
+            return new Blob([data], { type });
+        }
+
+        if (entry.method === METHOD_DEFLATE) {
+            const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            const blob = await new Response(stream).blob();
+            return type ? new Blob([blob], { type }) : blob;
+        }
+
+        throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}`);
+    }
+
+    /**
+     * Read an entry as UTF-8 text
+     */
+    async readText(entry) {
+        const blob = await this.readBlob(entry);
+        return blob.text();
+    }
+
+    static async readBytes(file, offset, length) {
+        const buffer = await file.slice(offset, offset + length).arrayBuffer();
+        return new Uint8Array(buffer);
+    }
+
+    static readUint64(view, offset) {
+        return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+    }
+}
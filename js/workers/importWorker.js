@@ -0,0 +1,229 @@
+// Import Worker - Parses large JSON exports off the main thread
+// Streams the file, splits a top-level JSON array into conversations and posts
+// them back in batches, so a huge export never blocks the page.
+// JSON Lines files (API logs) are read line by line and grouped at the end.
+// Each conversation's original record is compressed here before it is posted
+
+importScripts('../../indexeddb.js', '../../data.js');
+
+// Conversations per posted batch
+const BATCH_SIZE = 50;
+
+// Minimum time between progress messages (ms)
+const PROGRESS_INTERVAL = 100;
+
+/**
+ * Splits a streamed top-level JSON array into its elements
+ * Only tracks brackets and strings, the elements themselves are read with JSON.parse
+ */
+class JsonArraySplitter {
+    constructor() {
+        this.depth = 0;
+        this.inString = false;
+        this.escaped = false;
+        this.parts = []; // Text of the element being read, across chunks
+    }
+
+    push(text, onElement) {
+        let start = this.depth >= 2 ? 0 : -1;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+
+            if (this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (ch === '\\') {
+                    this.escaped = true;
+                } else if (ch === '"') {
+                    this.inString = false;
+                }
+                continue;
+            }
+
+            if (ch === '"') {
+                this.inString = true;
+            } else if (ch === '{' || ch === '[') {
+                this.depth++;
+                if (this.depth === 2) {
+                    start = i;
+                }
+            } else if (ch === '}' || ch === ']') {
+                this.depth--;
+                if (this.depth === 1) {
+                    this.parts.push(text.slice(start, i + 1));
+                    onElement(JSON.parse(this.parts.join('')));
+                    this.parts = [];
+                    start = -1;
+                }
+            }
+        }
+
+        if (start !== -1) {
+            this.parts.push(text.slice(start));
+        }
+    }
+}
+
+self.onmessage = async (event) => {
+    if (event.data.type !== 'start') return;
+
+    try {
+        // Format parsers from js/parsers/ register themselves, same as on the page
+        importScripts(...event.data.parserScripts);
+        chatData.importOptions = event.data.importOptions || {};
+        await parseFile(event.data.file, event.data.lines);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
+
+async function parseFile(file, lines = false) {
+    const reader = file.stream().getReader();
+    const decoder = new TextDecoder('utf-8');
+    const splitter = new JsonArraySplitter();
+    const warnings = [];
+
+    let bytesRead = 0;
+    let parsedCount = 0;
+    let lastProgress = 0;
+    // 'array' streams elements, 'document' parses the whole file at the end,
+    // 'lines' collects JSON Lines records to group at the end
+    let mode = lines ? 'lines' : null;
+    let head = '';
+    const documentParts = [];
+    const records = [];
+    let pendingLine = '';
+    let lineNumber = 1;
+    let batch = [];
+    let index = 0;
+    let groupedRecords = null;
+
+    chatData.startImportReport();
+
+    // The last progress message is forced, once the whole file is read
+    const postProgress = (last = false) => {
+        const now = Date.now();
+        if (last || now - lastProgress >= PROGRESS_INTERVAL) {
+            lastProgress = now;
+            // Files parsed or grouped as a whole have no conversations until they are read
+            const countedAtEnd = !last && (mode === 'lines' || mode === 'document' || groupedRecords !== null);
+            self.postMessage({ type: 'progress', bytesRead, totalBytes: file.size, conversations: parsedCount, countedAtEnd });
+        }
+    };
+
+    const flushBatch = async () => {
+        if (batch.length > 0) {
+            const conversations = batch;
+            batch = [];
+            for (const conv of conversations) {
+                if (conv.rawSource) {
+                    conv.rawSource = await chatData.compressSource(conv.rawSource);
+                }
+            }
+            self.postMessage({ type: 'batch', conversations });
+        }
+    };
+
+    // Batches are posted from the read loop, compressing the originals is async
+    const addConversations = (conversations) => {
+        conversations.forEach(conv => {
+            batch.push(conv);
+            parsedCount++;
+        });
+    };
+
+    // Same handling as parseJSONExport, one array element at a time
+    const handleElement = (element) => {
+        // Flat logs (Gemini Takeout, API logs, agent sessions) have to be grouped as a whole
+        if (index === 0 && chatData.isGroupedRecord(element)) {
+            groupedRecords = [];
+        }
+
+        if (groupedRecords) {
+            groupedRecords.push(element);
+        } else {
+            try {
+                const parsed = chatData.parseSingleConversation(element);
+                if (parsed) {
+                    addConversations([parsed]);
+                } else {
+                    warnings.push(`Conversation at index ${index} could not be parsed`);
+                }
+            } catch (error) {
+                warnings.push(`Conversation at index ${index}: ${error.message}`);
+            }
+        }
+        index++;
+    };
+
+    const handleText = (text) => {
+        if (mode === null) {
+            head += text;
+            if (!head.trim()) return;
+            mode = head.trimStart()[0] === '[' ? 'array' : 'document';
+            text = head;
+        }
+
+        if (mode === 'lines') {
+            // Only complete lines, the rest waits for the next chunk
+            const lineText = pendingLine + text;
+            const end = lineText.lastIndexOf('\n');
+            pendingLine = lineText.slice(end + 1);
+            if (end !== -1) {
+                const result = chatData.parseJSONLines(lineText.slice(0, end), lineNumber);
+                records.push(...result.records);
+                warnings.push(...result.warnings);
+                lineNumber += lineText.slice(0, end).split('\n').length;
+            }
+        } else if (mode === 'array') {
+            splitter.push(text, handleElement);
+        } else {
+            documentParts.push(text);
+        }
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        bytesRead += value.byteLength;
+        handleText(decoder.decode(value, { stream: true }));
+        if (batch.length >= BATCH_SIZE) await flushBatch();
+        postProgress();
+    }
+    handleText(decoder.decode());
+
+    if (mode === 'lines') {
+        const result = chatData.parseJSONLines(pendingLine, lineNumber);
+        records.push(...result.records);
+        warnings.push(...result.warnings);
+        if (records.length === 0) {
+            throw new Error('No JSON lines found in file');
+        }
+
+        const parsed = chatData.parseJSONExport(records);
+        addConversations(parsed.conversations);
+        warnings.push(...parsed.warnings);
+    } else if (mode === 'document') {
+        // Wrapped exports ({ conversations: [...] }) and single conversations
+        const result = chatData.parseJSONExport(JSON.parse(documentParts.join('')));
+        addConversations(result.conversations);
+        warnings.push(...result.warnings);
+    } else if (mode === null) {
+        throw new Error('File is empty');
+    } else if (splitter.depth !== 0) {
+        throw new Error('Unexpected end of JSON file');
+    }
+
+    if (groupedRecords) {
+        // parseJSONExport runs groupRecords over the whole list
+        const result = chatData.parseJSONExport(groupedRecords);
+        addConversations(result.conversations);
+        warnings.push(...result.warnings);
+    }
+
+    await flushBatch();
+    postProgress(true);
+    self.postMessage({ type: 'done', warnings, report: chatData.finishImportReport() });
+}